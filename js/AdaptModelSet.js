@@ -33,12 +33,34 @@ export default class AdaptModelSet extends ScoringSet {
    */
   _completeObjective() {}
 
+  /**
+   * Intentionally empty as adapt model sets have no state to save
+   * @override
+   */
+  save() {}
+
   /**
    * Intentionally empty to prevent super Class event triggers
    * @override
    */
   update() {}
 
+  /**
+   * Intentionally empty as updates are not required
+   * @override
+   */
+  get watchedAttributes() {
+    return [];
+  }
+
+  /**
+   * Values are always calculated as the set is not updated on changes
+   * @override
+   */
+  get isCacheEnabled() {
+    return false;
+  }
+
   modelTypeGroup(group) {
     return this.model.isTypeGroup(group);
   }
@@ -76,6 +98,22 @@ export default class AdaptModelSet extends ScoringSet {
     return this.model.get('_isComplete');
   }
 
+  /**
+   * Adapt model sets have no attempts
+   * @override
+   */
+  get canReset() {
+    return false;
+  }
+
+  /**
+   * Adapt model sets have no pass criteria, regardless of any intersecting parent passmark
+   * @override
+   */
+  get passmark() {
+    return null;
+  }
+
   /**
    * @override
    */
@@ -94,4 +132,16 @@ export default class AdaptModelSet extends ScoringSet {
    * @override
    */
   onPassed() {}
+
+  /**
+   * Intentionally empty to prevent super Class event triggers
+   * @override
+   */
+  onGradeChanged() {}
+
+  /**
+   * Intentionally empty to prevent super Class event triggers
+   * @override
+   */
+  onStateChanged() {}
 }
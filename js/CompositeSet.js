@@ -0,0 +1,263 @@
+import ScoringSet from './ScoringSet';
+import AGGREGATION from './enums/aggregationEnum';
+import {
+  filterSetDependencies,
+  getIntersectionSubset,
+  getScaledScoreFromMinMax,
+  getSubsetById,
+  getSubsetsByQuery
+} from './utils';
+
+/**
+ * A set of other scoring sets, declared as a list of set ids or as the sets returned by a query.
+ * Its models are the union of the models of its children, such that it can be intersected like any other set,
+ * whereas its scores, completion and pass status are aggregated from its children according to `_aggregation`.
+ * Configured in `_scoring._sets` with `"_type": "composite"`
+ */
+export default class CompositeSet extends ScoringSet {
+
+  initialize(options = {}, subsetParent = null) {
+    this._sets = options._sets ?? [];
+    this._query = options._query ?? null;
+    this._aggregation = options._aggregation ?? AGGREGATION.SUM;
+    this._requiredCount = options._requiredCount ?? null;
+    this._isResolving = false;
+    super.initialize({
+      _type: 'composite',
+      _passmark: {},
+      ...options,
+      // intersection subsets are created from a set instance, on which the title is a getter
+      title: options.title
+    }, subsetParent);
+  }
+
+  /**
+   * Returns the configured child set ids
+   * @returns {[string]}
+   */
+  get setIds() {
+    return this._sets;
+  }
+
+  /**
+   * Returns the configured query
+   * @returns {string|null}
+   */
+  get query() {
+    return this._query;
+  }
+
+  /**
+   * Returns the strategy used to combine the values of the child sets
+   * @returns {string}
+   */
+  get aggregation() {
+    return this._aggregation;
+  }
+
+  /**
+   * Returns the number of child sets required by the `nOfM` aggregation, defaulting to all of them
+   * @returns {number}
+   */
+  get requiredCount() {
+    return this._requiredCount ?? this.sets.length;
+  }
+
+  /**
+   * Returns the root sets returned by the `_query` or with the `_sets` ids, resolved afresh on each call
+   * @returns {[ScoringSet]}
+   */
+  getSetDependencies() {
+    const sets = this.query
+      ? getSubsetsByQuery(this.query)
+      : this.setIds.map(id => getSubsetById(id));
+    return [...new Set(sets)].filter(Boolean);
+  }
+
+  /**
+   * Returns the child sets, intersected with any subset parent.
+   * Excludes this set and any set which depends upon it, through any number of other sets
+   * @returns {[ScoringSet]}
+   */
+  get sets() {
+    // a query which filters on the values of this set cannot provide its children
+    if (this._isResolving) return [];
+    return this._getCached('sets', () => {
+      this._isResolving = true;
+      try {
+        const rootSets = filterSetDependencies(this, this.getSetDependencies());
+        return this.subsetParent
+          ? rootSets.map(set => getIntersectionSubset(set, this.subsetParent))
+          : rootSets;
+      } finally {
+        this._isResolving = false;
+      }
+    });
+  }
+
+  /**
+   * Returns the union of the models of the child sets
+   * @override
+   * @returns {[Backbone.Model]}
+   */
+  get rawModels() {
+    return this._getCached('rawModels', () => [...new Set(this.sets.flatMap(set => set.models ?? []))]);
+  }
+
+  /**
+   * Returns the model attributes watched by the set and by each of its children
+   * @override
+   * @returns {[string]}
+   */
+  get watchedAttributes() {
+    return [...new Set([
+      ...super.watchedAttributes,
+      ...this.sets.flatMap(set => set.watchedAttributes)
+    ])];
+  }
+
+  /**
+   * @override
+   * @returns {number}
+   */
+  get minScore() {
+    return this._getRetainedValue('minScore', () => this._sumSets(set => set.minScore));
+  }
+
+  /**
+   * @override
+   * @returns {number}
+   */
+  get maxScore() {
+    return this._getRetainedValue('maxScore', () => this._sumSets(set => set.maxScore));
+  }
+
+  /**
+   * @override
+   * @returns {number}
+   */
+  get score() {
+    return this._getRetainedValue('score', () => this._sumSets(set => set.score));
+  }
+
+  /**
+   * Returns the average of the child percentages, weighted by each child `weight`, if the `_aggregation` is `weighted`
+   * @override
+   * @returns {number}
+   */
+  get scaledScore() {
+    if (this.aggregation !== AGGREGATION.WEIGHTED) return super.scaledScore;
+    return this._getRetainedValue('scaledScore', () => this._averageSets(set => set.scaledScore));
+  }
+
+  /**
+   * @override
+   * @returns {number}
+   */
+  get correctness() {
+    return this._getRetainedValue('correctness', () => this._sumSets(set => set.correctness));
+  }
+
+  /**
+   * Returns the correctness of the child sets if every question were correct
+   * @returns {number}
+   */
+  get maxCorrectness() {
+    return this._sumSets(set => set.maxCorrectness ?? set.questions.length);
+  }
+
+  /**
+   * Returns the average of the child correctness percentages, weighted by each child `weight`, if the `_aggregation` is `weighted`,
+   * otherwise the `correctness` as a percentage of the `maxCorrectness`
+   * @override
+   * @returns {number}
+   */
+  get scaledCorrectness() {
+    return this._getRetainedValue('scaledCorrectness', () => (this.aggregation === AGGREGATION.WEIGHTED)
+      ? this._averageSets(set => set.scaledCorrectness)
+      : getScaledScoreFromMinMax(this.correctness, 0, this.maxCorrectness));
+  }
+
+  /**
+   * Returns whether all child sets are complete, or `_requiredCount` child sets if the `_aggregation` is `nOfM`
+   * @override
+   * @returns {boolean}
+   */
+  get isComplete() {
+    if (this.aggregation === AGGREGATION.N_OF_M) return this._countSets(set => set.isComplete) >= this.requiredCount;
+    return this.sets.every(set => set.isComplete);
+  }
+
+  /**
+   * Returns whether the child sets have been passed according to the `_aggregation`, or otherwise whether the passmark has been achieved
+   * @override
+   * @returns {boolean}
+   */
+  get isPassed() {
+    switch (this.aggregation) {
+      case AGGREGATION.ALL_PASSED:
+        return this._getRetainedValue('isPassed', () => this.sets.length > 0 && this.sets.every(set => set.isPassed));
+      case AGGREGATION.ANY_PASSED:
+        return this._getRetainedValue('isPassed', () => this.sets.some(set => set.isPassed));
+      case AGGREGATION.N_OF_M:
+        return this._getRetainedValue('isPassed', () => this._countSets(set => set.isPassed) >= this.requiredCount);
+      default:
+        return super.isPassed;
+    }
+  }
+
+  /**
+   * Returns whether any of the child sets have been attempted
+   * @override
+   * @returns {boolean}
+   */
+  get isAttempted() {
+    return this.sets.some(set => set.isAttempted);
+  }
+
+  /**
+   * Reset the set and each child set which can be reset
+   * @override
+   */
+  reset() {
+    super.reset();
+    if (this.subsetParent) return;
+    this.sets.forEach(set => set.canReset && set.reset());
+  }
+
+  /**
+   * Returns the sum of the values of the child sets, multiplied by each child `weight` if the `_aggregation` is `weighted`
+   * @private
+   * @param {function(ScoringSet): number} getValue
+   * @returns {number}
+   */
+  _sumSets(getValue) {
+    const isWeighted = (this.aggregation === AGGREGATION.WEIGHTED);
+    return this.sets.reduce((sum, set) => sum + getValue(set) * (isWeighted ? set.weight : 1), 0);
+  }
+
+  /**
+   * Returns the average of the values of the child sets, weighted by each child `weight`
+   * @private
+   * @param {function(ScoringSet): number} getValue
+   * @returns {number}
+   */
+  _averageSets(getValue) {
+    const sets = this.sets;
+    const totalWeight = sets.reduce((sum, set) => sum + set.weight, 0);
+    if (!totalWeight) return 0;
+    const sum = sets.reduce((sum, set) => sum + getValue(set) * set.weight, 0);
+    return Math.round(sum / totalWeight);
+  }
+
+  /**
+   * Returns the number of child sets matching the predicate
+   * @private
+   * @param {function(ScoringSet): boolean} predicate
+   * @returns {number}
+   */
+  _countSets(predicate) {
+    return this.sets.filter(predicate).length;
+  }
+
+}
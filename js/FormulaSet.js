@@ -0,0 +1,199 @@
+import Logging from 'core/js/logging';
+import FormulaSyntaxError from './FormulaSyntaxError';
+import Passmark from './Passmark';
+import ScoringSet from './ScoringSet';
+import {
+  evaluate,
+  getReferences,
+  parse
+} from './formula';
+import {
+  filterSetDependencies,
+  getSubsetsByQuery
+} from './utils';
+
+/**
+ * Returns the syntax tree of the formula, logging and returning `null` for invalid formulas
+ * @param {string} formula
+ * @param {string} id
+ * @param {ScoringSet} [subsetParent]
+ * @returns {Object|null}
+ */
+function parseFormula(formula, id, subsetParent = null) {
+  try {
+    return parse(formula);
+  } catch (err) {
+    if (!(err instanceof FormulaSyntaxError)) throw err;
+    // root sets have already logged the error for their intersection subsets
+    if (!subsetParent) Logging.error(`Scoring ${id} ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * A set whose score is computed by a formula over the values of other sets,
+ * such as `0.6 * #final.scaledScore + 0.4 * avg(assessment.scaledScore)`.
+ * Its models are the union of the models of the referenced sets, such that it updates with them and can be intersected like any other set.
+ * Completed when all referenced sets are complete, with a default passmark requiring no correctness.
+ * Configured in `_scoring._sets` with `"_type": "formula"`
+ */
+export default class FormulaSet extends ScoringSet {
+
+  initialize(options = {}, subsetParent = null) {
+    this._formula = options._formula ?? '';
+    this._minScore = options._minScore ?? 0;
+    this._maxScore = options._maxScore ?? 100;
+    // parsed before registration, which requires the referenced sets
+    this._formulaTree = parseFormula(this._formula, options._id, subsetParent);
+    this._isResolving = false;
+    const passmark = options._passmark;
+    super.initialize({
+      _type: 'formula',
+      ...options,
+      // passed by the formula score alone, unless a `_correctness` is configured
+      _passmark: (passmark instanceof Passmark) ? passmark : { _correctness: 0, ...passmark },
+      // intersection subsets are created from a set instance, on which the title is a getter
+      title: options.title
+    }, subsetParent);
+  }
+
+  /**
+   * Returns the configured formula
+   * @returns {string}
+   */
+  get formula() {
+    return this._formula;
+  }
+
+  /**
+   * Returns the queries referenced by the formula
+   * @returns {[string]}
+   */
+  get queries() {
+    if (!this._formulaTree) return [];
+    return [...new Set(getReferences(this._formulaTree).map(({ query }) => query))];
+  }
+
+  /**
+   * Returns the root sets returned by the referenced queries, resolved afresh on each call
+   * @returns {[ScoringSet]}
+   */
+  getSetDependencies() {
+    return [...new Set(this.queries.flatMap(query => getSubsetsByQuery(query)))];
+  }
+
+  /**
+   * Returns the sets referenced by the formula, intersected with any subset parent.
+   * Excludes this set and any set which depends upon it, through any number of other sets
+   * @returns {[ScoringSet]}
+   */
+  get sets() {
+    // a reference which filters on the values of this set cannot provide its models
+    if (this._isResolving) return [];
+    return this._getCached('sets', () => {
+      this._isResolving = true;
+      try {
+        const sets = this.queries.flatMap(query => getSubsetsByQuery(query, this.subsetParent ?? undefined));
+        return filterSetDependencies(this, [...new Set(sets)]);
+      } finally {
+        this._isResolving = false;
+      }
+    });
+  }
+
+  /**
+   * Returns the union of the models of the referenced sets
+   * @override
+   * @returns {[Backbone.Model]}
+   */
+  get rawModels() {
+    return this._getCached('rawModels', () => [...new Set(this.sets.flatMap(set => set.models ?? []))]);
+  }
+
+  /**
+   * Returns the model attributes watched by the set and by each of the referenced sets
+   * @override
+   * @returns {[string]}
+   */
+  get watchedAttributes() {
+    return [...new Set([
+      ...super.watchedAttributes,
+      ...this.sets.flatMap(set => set.watchedAttributes)
+    ])];
+  }
+
+  /**
+   * Returns the configured `_minScore`
+   * @override
+   * @returns {number}
+   */
+  get minScore() {
+    return this._getRetainedValue('minScore', () => this._minScore);
+  }
+
+  /**
+   * Returns the configured `_maxScore`
+   * @override
+   * @returns {number}
+   */
+  get maxScore() {
+    return this._getRetainedValue('maxScore', () => this._maxScore);
+  }
+
+  /**
+   * Returns the evaluated formula, or `0` if the formula is invalid
+   * @override
+   * @returns {number}
+   */
+  get score() {
+    return this._getRetainedValue('score', () => {
+      if (!this._formulaTree) return 0;
+      return evaluate(this._formulaTree, (query, property) => this._getReferencedValues(query, property));
+    });
+  }
+
+  /**
+   * Returns whether all referenced sets are complete
+   * @override
+   * @returns {boolean}
+   */
+  get isComplete() {
+    const sets = this.sets;
+    return sets.length > 0 && sets.every(set => set.isComplete);
+  }
+
+  /**
+   * Returns whether any of the referenced sets have been attempted
+   * @override
+   * @returns {boolean}
+   */
+  get isAttempted() {
+    return this.sets.some(set => set.isAttempted);
+  }
+
+  /**
+   * Returns the sets returned by a referenced query, excluding those which cannot be referenced by this set
+   * @private
+   * @param {string} query
+   * @returns {[ScoringSet]}
+   */
+  _getReferencedSets(query) {
+    const sets = this.sets;
+    return getSubsetsByQuery(query, this.subsetParent ?? undefined)
+      .filter(set => sets.some(({ type, id }) => set.type === type && set.id === id));
+  }
+
+  /**
+   * Returns the numeric values of the property for the sets returned by a referenced query, where `true` is `1` and `false` is `0`
+   * @private
+   * @param {string} query
+   * @param {string} property
+   * @returns {[number]}
+   */
+  _getReferencedValues(query, property) {
+    return this._getReferencedSets(query)
+      .map(set => Number(set[property]))
+      .filter(Number.isFinite);
+  }
+
+}
@@ -0,0 +1,19 @@
+/**
+ * Thrown when a computed score formula cannot be parsed
+ */
+export default class FormulaSyntaxError extends Error {
+
+  /**
+   * @param {string} description
+   * @param {number} position Zero-based character position of the problem
+   * @param {string} formula
+   */
+  constructor(description, position, formula) {
+    super(`${description} at position ${position} in formula "${formula}"`);
+    this.name = 'FormulaSyntaxError';
+    this.description = description;
+    this.position = position;
+    this.formula = formula;
+  }
+
+}
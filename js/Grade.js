@@ -0,0 +1,61 @@
+export default class Grade {
+
+  constructor({
+    _id = null,
+    title = '',
+    _score = 0,
+    _correctness = 0,
+    _isScaled = true
+  } = {}) {
+    this._id = _id;
+    this._title = title;
+    this._score = _score;
+    this._correctness = _correctness;
+    this._isScaled = _isScaled;
+  }
+
+  /**
+   * Returns whether the `score` and `correctness` of the set achieve this grade
+   * @param {Scoring|ScoringSet} set
+   * @returns {boolean}
+   */
+  isAchievedBy(set) {
+    const isScaled = this.isScaled;
+    const score = (isScaled) ? set.scaledScore : set.score;
+    const correctness = (isScaled) ? set.scaledCorrectness : set.correctness;
+    return score >= this.score && correctness >= this.correctness;
+  }
+
+  get id() {
+    return this._id;
+  }
+
+  get title() {
+    return this._title;
+  }
+
+  /**
+   * Returns the score required for the grade
+   * @returns {number}
+   */
+  get score() {
+    return this._score;
+  }
+
+  /**
+   * Returns the correctness required for the grade
+   * @returns {number}
+   */
+  get correctness() {
+    return this._correctness;
+  }
+
+  /**
+   * Returns whether the `score` and `correctness` are to be used as a percentage
+   * @returns {boolean}
+   */
+  get isScaled() {
+    return this._isScaled;
+  }
+
+}
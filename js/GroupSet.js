@@ -0,0 +1,103 @@
+import Data from 'core/js/data';
+import Logging from 'core/js/logging';
+import ScoringSet from './ScoringSet';
+import {
+  getSubsetsByQuery
+} from './utils';
+
+/**
+ * A set of models declared in configuration, either as a list of model ids or as the models of the sets returned by a query.
+ * Completed when all trackable components are complete, with a default passmark.
+ * Configured in `_scoring._sets` with `"_type": "group"`
+ */
+export default class GroupSet extends ScoringSet {
+
+  initialize(options = {}, subsetParent = null) {
+    this._models = options._models ?? [];
+    this._query = options._query ?? null;
+    this._isQuerying = false;
+    super.initialize({
+      _type: 'group',
+      _passmark: {},
+      ...options,
+      // intersection subsets are created from a set instance, on which the title is a getter
+      title: options.title
+    }, subsetParent);
+  }
+
+  /**
+   * Warn of any configured model ids which do not exist
+   * @override
+   */
+  init() {
+    this.modelIds
+      .filter(id => !Data.findById(id))
+      .forEach(id => Logging.warn(`Scoring ${this.type} set ${this.id} cannot find model ${id}`));
+    super.init();
+  }
+
+  /**
+   * Returns the configured model ids
+   * @returns {[string]}
+   */
+  get modelIds() {
+    return this._models;
+  }
+
+  /**
+   * Returns the configured query
+   * @returns {string|null}
+   */
+  get query() {
+    return this._query;
+  }
+
+  /**
+   * Returns the configured models, or the models of the sets returned by the query
+   * @override
+   * @returns {[Backbone.Model]}
+   */
+  get rawModels() {
+    return this._getCached('rawModels', () => {
+      if (!this.query) return this.modelIds.map(id => Data.findById(id)).filter(Boolean);
+      // a query which includes this set cannot contribute models to it
+      if (this._isQuerying) return [];
+      this._isQuerying = true;
+      try {
+        const models = getSubsetsByQuery(this.query).flatMap(set => set.models ?? []);
+        return [...new Set(models)];
+      } finally {
+        this._isQuerying = false;
+      }
+    });
+  }
+
+  /**
+   * Returns all `_isAvailable` component models, intersected with the models of any subset parent
+   * @override
+   * @returns {[ComponentModel]}
+   */
+  get components() {
+    return this.subsetParent ? this.filterModels(super.components) : super.components;
+  }
+
+  /**
+   * Returns all `_isAvailable` question models, intersected with the models of any subset parent
+   * @override
+   * @returns {[QuestionModel]}
+   */
+  get questions() {
+    return this.subsetParent ? this.filterModels(super.questions) : super.questions;
+  }
+
+  /**
+   * Returns whether all trackable components are complete, such that an empty set is never complete
+   * @override
+   * @returns {boolean}
+   */
+  get isComplete() {
+    const components = this.trackableComponents;
+    return components.length > 0 && components.every(model => model.get('_isComplete'));
+  }
+
+}
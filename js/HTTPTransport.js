@@ -0,0 +1,44 @@
+/**
+ * Sends xAPI statements to the statements resource of a Learning Record Store
+ */
+export default class HTTPTransport {
+
+  /**
+   * @param {Object} options
+   * @param {string} options._endpoint The LRS endpoint, such as `http://localhost:8080/xapi/`
+   * @param {string} [options._version] The xAPI version
+   */
+  constructor({
+    _endpoint,
+    _version = '1.0.3'
+  } = {}) {
+    this._endpoint = _endpoint;
+    this._version = _version;
+  }
+
+  get endpoint() {
+    return this._endpoint;
+  }
+
+  /**
+   * Post the statements to the LRS, allowing the request to outlive the page
+   * @param {[Object]} statements
+   * @returns {Promise}
+   * @throws {Error} When the LRS rejects the statements
+   */
+  async send(statements) {
+    const url = `${this.endpoint.replace(/\/?$/, '/')}statements`;
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Experience-API-Version': this._version
+    };
+    const response = await fetch(url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(statements),
+      keepalive: true
+    });
+    if (!response.ok) throw new Error(`LRS responded ${response.status} ${response.statusText}`);
+  }
+
+}
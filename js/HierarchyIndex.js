@@ -0,0 +1,104 @@
+import Adapt from 'core/js/adapt';
+import Data from 'core/js/data';
+import Backbone from 'backbone';
+
+/**
+ * Maintains an index of model ancestor ids, such that hierarchy intersections can be evaluated
+ * without walking the descendants of every model.
+ * The index is built on `app:dataReady` and kept up to date as models are added to or removed from `Data`.
+ */
+class HierarchyIndex extends Backbone.Controller {
+
+  initialize() {
+    this._ancestorIds = new Map();
+    this._isBuilt = false;
+    this.listenTo(Data, {
+      loading: this.clear,
+      add: this._onAdd,
+      remove: this._onRemove
+    });
+    this.listenTo(Adapt, 'app:dataReady', this.build);
+  }
+
+  /**
+   * Index all models in `Data`
+   */
+  build() {
+    this._ancestorIds.clear();
+    Data.forEach(model => this._index(model));
+    this._isBuilt = true;
+  }
+
+  clear() {
+    this._ancestorIds.clear();
+    this._isBuilt = false;
+  }
+
+  /**
+   * Returns the ids of the model and its ancestors, indexing the model if required
+   * @param {Backbone.Model} model
+   * @returns {Set<string>}
+   */
+  getAncestorIds(model) {
+    return this._ancestorIds.get(model.get('_id')) ?? this._index(model);
+  }
+
+  /**
+   * Returns a function to test whether a model is equal to, a descendant of or an ancestor of any of the given models
+   * @param {[Backbone.Model]} models
+   * @returns {function(Backbone.Model): boolean}
+   */
+  createIntersectionTest(models) {
+    const ids = new Set();
+    const ancestorIds = new Set();
+    models.forEach(model => {
+      ids.add(model.get('_id'));
+      this.getAncestorIds(model).forEach(id => ancestorIds.add(id));
+    });
+    return model => {
+      // model is equal to or an ancestor of one of the models
+      if (ancestorIds.has(model.get('_id'))) return true;
+      // model is a descendant of one of the models
+      for (const id of this.getAncestorIds(model)) {
+        if (ids.has(id)) return true;
+      }
+      return false;
+    };
+  }
+
+  /**
+   * @private
+   * @param {Backbone.Model} model
+   * @returns {Set<string>}
+   */
+  _index(model) {
+    const ancestorIds = new Set(model.getAncestorModels(true).map(model => model.get('_id')));
+    this._ancestorIds.set(model.get('_id'), ancestorIds);
+    return ancestorIds;
+  }
+
+  /**
+   * @private
+   * @param {Backbone.Model} model
+   */
+  _onAdd(model) {
+    if (!this._isBuilt) return;
+    this._index(model);
+  }
+
+  /**
+   * @private
+   * @param {Backbone.Model} model
+   */
+  _onRemove(model) {
+    const id = model.get('_id');
+    this._ancestorIds.delete(id);
+    // remove any descendants which were indexed against the removed model
+    for (const [descendantId, ancestorIds] of this._ancestorIds) {
+      if (ancestorIds.has(id)) this._ancestorIds.delete(descendantId);
+    }
+  }
+
+}
+
+export default new HierarchyIndex();
@@ -1,17 +1,73 @@
+import Grade from './Grade';
+
 export default class Passmark {
 
   constructor({
     _isEnabled = true,
     _requiresPassedSubsets = false,
+    _requiresCompletion = false,
     _score = 60,
     _correctness = 60,
-    _isScaled = true
+    _isScaled = true,
+    _grades = []
   } = {}) {
     this._isEnabled = _isEnabled;
     this._requiresPassedSubsets = _requiresPassedSubsets;
+    this._requiresCompletion = _requiresCompletion;
     this._score = _score;
     this._correctness = _correctness;
     this._isScaled = _isScaled;
+    // grades inherit the passmark `_isScaled` unless specified
+    this._grades = _grades.map(grade => (grade instanceof Grade) ? grade : new Grade({ _isScaled, ...grade }));
+  }
+
+  /**
+   * Returns whether the `score` and `correctness` of the set achieve the passmark
+   * @param {Scoring|ScoringSet} set
+   * @returns {boolean}
+   */
+  isAchievedBy(set) {
+    const isScaled = this.isScaled;
+    const score = (isScaled) ? set.scaledScore : set.score;
+    const correctness = (isScaled) ? set.scaledCorrectness : set.correctness;
+    return score >= this.score && correctness >= this.correctness;
+  }
+
+  /**
+   * Returns whether a set is passed according to the pass policy.
+   * A disabled passmark is passed on completion, otherwise the passmark must be achieved, after completion if required
+   * @param {Object} options
+   * @param {boolean} options.isComplete
+   * @param {boolean} options.isAchieved Whether the passmark has been achieved
+   * @returns {boolean}
+   */
+  getIsPassed({ isComplete, isAchieved }) {
+    if (!this.isEnabled) return Boolean(isComplete);
+    if (this.requiresCompletion && !isComplete) return false;
+    return Boolean(isAchieved);
+  }
+
+  /**
+   * Returns whether a set is failed according to the pass policy.
+   * A disabled passmark cannot be failed, otherwise a completed set which is not passed is failed when it cannot be reset
+   * @param {Object} options
+   * @param {boolean} options.isComplete
+   * @param {boolean} options.isPassed
+   * @param {boolean} options.canReset
+   * @returns {boolean}
+   */
+  getIsFailed({ isComplete, isPassed, canReset }) {
+    if (isPassed || !this.isEnabled || !isComplete) return false;
+    return !canReset;
+  }
+
+  /**
+   * Returns the highest grade achieved by the set, in configured order
+   * @param {Scoring|ScoringSet} set
+   * @returns {Grade|null}
+   */
+  getGrade(set) {
+    return this.grades.find(grade => grade.isAchievedBy(set)) ?? null;
   }
 
   /**
@@ -30,6 +86,14 @@ export default class Passmark {
     return this._requiresPassedSubsets;
   }
 
+  /**
+   * Returns whether completion is required before passing, otherwise the passmark can be achieved early
+   * @returns {boolean}
+   */
+  get requiresCompletion() {
+    return this._requiresCompletion;
+  }
+
   /**
    * Returns the score required for passing
    * @returns {number}
@@ -54,4 +118,12 @@ export default class Passmark {
     return this._isScaled;
   }
 
+  /**
+   * Returns the grade bands, ordered from highest to lowest
+   * @returns {[Grade]}
+   */
+  get grades() {
+    return this._grades;
+  }
+
 }
@@ -0,0 +1,19 @@
+/**
+ * Thrown when a subset intersection query cannot be parsed
+ */
+export default class QuerySyntaxError extends Error {
+
+  /**
+   * @param {string} description
+   * @param {number} position Zero-based character position of the problem
+   * @param {string} query
+   */
+  constructor(description, position, query) {
+    super(`${description} at position ${position} in query "${query}"`);
+    this.name = 'QuerySyntaxError';
+    this.description = description;
+    this.position = position;
+    this.query = query;
+  }
+
+}
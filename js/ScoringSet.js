@@ -1,8 +1,19 @@
 import Adapt from 'core/js/adapt';
 import Logging from 'core/js/logging';
 import OfflineStorage from 'core/js/offlineStorage';
-import COMPLETION_STATE from 'core/js/enums/completionStateEnum';
+import Grade from './Grade';
+import Passmark from './Passmark';
+import SCORING_STATE from './enums/scoringStateEnum';
+import SCORE_RETENTION from './enums/scoreRetentionEnum';
+import MIGRATION_POLICY from './enums/migrationPolicyEnum';
+import OBJECTIVE_RESULT from './enums/objectiveResultEnum';
 import {
+  initializeObjective,
+  resetObjective,
+  completeObjective
+} from './objectives';
+import {
+  createFingerprint,
   filterModels,
   getScaledScoreFromMinMax,
   getSubsets,
@@ -15,6 +26,24 @@ import {
 } from './utils';
 import Backbone from 'backbone';
 
+/**
+ * The attempt snapshot values which are retained across attempts and sessions, in their stored order
+ */
+const RETAINED_VALUES = [
+  'score',
+  'minScore',
+  'maxScore',
+  'scaledScore',
+  'correctness',
+  'scaledCorrectness',
+  'isPassed'
+];
+
+/**
+ * The number of most recent attempt snapshots saved for subsequent sessions, in addition to the retained attempt
+ */
+const SAVED_ATTEMPTS_LIMIT = 5;
+
 /**
  * The class provides an abstract that describes a set of models which can be extended with custom
  * scoring and completion behaviour.
@@ -37,7 +66,15 @@ export default class ScoringSet extends Backbone.Controller {
     _type = null,
     title = '',
     _isScoreIncluded = false,
-    _isCompletionRequired = false
+    _isCompletionRequired = false,
+    _weight = 1,
+    _grades = [],
+    _passmark = null,
+    _attempts = 1,
+    _scoreRetention = SCORE_RETENTION.LATEST,
+    _migrationPolicy = null,
+    _objective = {},
+    _watchedAttributes = []
   } = {}, subsetParent = null) {
     this._subsetParent = subsetParent;
     this._id = _id;
@@ -45,6 +82,20 @@ export default class ScoringSet extends Backbone.Controller {
     this._title = title;
     this._isScoreIncluded = _isScoreIncluded;
     this._isCompletionRequired = _isCompletionRequired;
+    this._weight = _weight;
+    this._grades = _grades.map(grade => (grade instanceof Grade) ? grade : new Grade(grade));
+    this._passmark = (!_passmark || _passmark instanceof Passmark) ? _passmark : new Passmark(_passmark);
+    this._attempts = _attempts;
+    this._attemptHistory = [];
+    this._attemptsUsed = 0;
+    this._isAttemptRecorded = false;
+    this._scoreRetention = _scoreRetention;
+    this._isRetentionSuspended = false;
+    this._migrationPolicy = _migrationPolicy;
+    this._objective = _objective;
+    this._restoredState = null;
+    this._watchedAttributes = _watchedAttributes;
+    this._cache = new Map();
     this.register();
     this._setupListeners();
   }
@@ -77,13 +128,104 @@ export default class ScoringSet extends Backbone.Controller {
    */
   restore() {
     if (this.subsetParent) return;
+    const state = Adapt.scoring.getSavedState(this);
+    // states saved against different content are migrated on init, once all sets exist and the models have been restored
+    this._restoredState = state;
+    if (state) this.setState(state);
     Adapt.trigger(`scoring:${this.type}:restored scoring:set:restored`, this);
   }
 
+  /**
+   * Save the state of the set for subsequent sessions
+   */
+  save() {
+    if (this.subsetParent) return;
+    Adapt.scoring.saveState(this);
+  }
+
+  /**
+   * Returns the compact state of the set to be saved for subsequent sessions.
+   * Extend to save additional values, using short keys
+   * @returns {Object}
+   */
+  getState() {
+    return {
+      c: Boolean(this._wasComplete),
+      p: this._wasPassed ?? null,
+      n: this.attemptsUsed,
+      a: this._getSavedAttempts().map(attempt => RETAINED_VALUES.map(name => attempt[name] ?? null))
+    };
+  }
+
+  /**
+   * Returns the attempt snapshots to save, being the retained attempt and the most recent attempts,
+   * such that the saved state remains compact however many attempts are used
+   * @protected
+   * @returns {[Object]}
+   */
+  _getSavedAttempts() {
+    const history = this.attemptHistory;
+    const retainedAttempt = this.retainedAttempt;
+    const recentAttempts = history.slice(-SAVED_ATTEMPTS_LIMIT);
+    return history.filter(attempt => attempt === retainedAttempt || recentAttempts.includes(attempt));
+  }
+
+  /**
+   * Apply the state saved in a previous session.
+   * Extend to restore any additional values
+   * @param {Object} state
+   */
+  setState({ c = false, p = null, n = null, a = [] } = {}) {
+    this._wasComplete = c;
+    this._wasPassed = p;
+    this._attemptHistory = a.map(values => Object.fromEntries(RETAINED_VALUES.map((name, index) => [name, values[index]])));
+    this._attemptsUsed = n ?? a.length;
+    // a set saved as complete has recorded its current attempt
+    this._isAttemptRecorded = c;
+    this._hasRestoredState = true;
+  }
+
+  /**
+   * Resolve a state saved against different content according to the `migrationPolicy`
+   * @protected
+   * @param {Object} state
+   */
+  _migrateState(state) {
+    const policy = this.migrationPolicy;
+    switch (policy) {
+      case MIGRATION_POLICY.KEEP:
+        this.setState(state);
+        break;
+      case MIGRATION_POLICY.RESET:
+        // discard the state applied on restore
+        this.setState();
+        this._hasRestoredState = false;
+        this.reset();
+        break;
+      default:
+        // keep the saved attempts, recalculating only the set status from the current models
+        this.setState(state);
+        this._hasRestoredState = false;
+    }
+    Logging.debug(`${this.id} migrated using ${policy}`);
+    this.onMigrated(policy);
+  }
+
   init() {
-    this._wasComplete = this.isComplete;
-    this._wasPassed = this.isPassed;
+    const restoredState = this._restoredState;
+    this._restoredState = null;
+    const isMigrating = Boolean(restoredState) && Adapt.scoring.hasContentChanged(this);
+    if (isMigrating) this._migrateState(restoredState);
+    // restored sets raise any changes since the previous session on the first update
+    if (!this._hasRestoredState) {
+      this._wasComplete = this.isComplete;
+      this._wasPassed = this.isPassed;
+    }
+    this._wasGrade = this.grade;
+    this._wasState = this.state;
     this._initializeObjective();
+    // stamp the migrated state with the current content fingerprint
+    if (isMigrating) this.save();
   }
 
   /**
@@ -94,8 +236,17 @@ export default class ScoringSet extends Backbone.Controller {
     if (isComplete && !this._wasComplete) this.onCompleted();
     const isPassed = this.isPassed;
     if (isPassed && !this._wasPassed) this.onPassed();
+    const grade = this.grade;
+    if (grade !== this._wasGrade) this.onGradeChanged(grade, this._wasGrade);
+    const state = this.state;
+    if (state !== this._wasState) this.onStateChanged(state, this._wasState);
+    if (!isComplete && this._wasComplete) this.onIncomplete();
+    const hasStateChanged = (isComplete !== this._wasComplete || isPassed !== this._wasPassed);
     this._wasComplete = isComplete;
     this._wasPassed = isPassed;
+    this._wasGrade = grade;
+    this._wasState = state;
+    if (hasStateChanged) this.save();
   }
 
   /**
@@ -107,9 +258,106 @@ export default class ScoringSet extends Backbone.Controller {
     if (this.subsetParent) return;
     Adapt.trigger(`scoring:${this.type}:reset scoring:set:reset`, this);
     Logging.debug(`${this.id} reset`);
+    this._isAttemptRecorded = false;
+    this.clearCache();
     this._resetObjective();
   }
 
+  /**
+   * Clear the cached derived values, such as `score` and `questions`.
+   * Performed automatically when a watched attribute changes on any model or the set is reset
+   */
+  clearCache() {
+    this._cache.clear();
+  }
+
+  /**
+   * Returns a snapshot of the values of the current attempt
+   * @protected
+   * @returns {Object}
+   */
+  _createAttemptSnapshot() {
+    // snapshots always take the values of the current attempt
+    this._isRetentionSuspended = true;
+    try {
+      return Object.fromEntries(RETAINED_VALUES.map(name => [name, this[name]]));
+    } finally {
+      this._isRetentionSuspended = false;
+    }
+  }
+
+  /**
+   * Record a snapshot of the current attempt in the attempt history.
+   * Only the first completion since the set was last reset is recorded, whilst attempts remain,
+   * such that sets completed again over shared models do not use further attempts
+   * @protected
+   */
+  _recordAttempt() {
+    if (this._isAttemptRecorded || this.attemptsUsed >= this.maxAttempts) return;
+    this._attemptHistory.push(this._createAttemptSnapshot());
+    this._attemptsUsed++;
+    this._isAttemptRecorded = true;
+  }
+
+  /**
+   * Returns the attempt snapshot reported according to `_scoreRetention`, or `null` to report the current attempt
+   * @returns {Object|null}
+   */
+  get retainedAttempt() {
+    const history = this.attemptHistory;
+    if (this.subsetParent || !history.length) return null;
+    switch (this.scoreRetention) {
+      case SCORE_RETENTION.BEST:
+        return history.reduce((best, attempt) => {
+          if (Boolean(attempt.isPassed) !== Boolean(best.isPassed)) return attempt.isPassed ? attempt : best;
+          if (attempt.scaledScore !== best.scaledScore) return attempt.scaledScore > best.scaledScore ? attempt : best;
+          return attempt.scaledCorrectness > best.scaledCorrectness ? attempt : best;
+        });
+      case SCORE_RETENTION.FIRST:
+        return history[0];
+      case SCORE_RETENTION.AVERAGE: {
+        const average = Object.fromEntries(RETAINED_VALUES.filter(name => name !== 'isPassed').map(name => {
+          return [name, history.reduce((sum, attempt) => sum + attempt[name], 0) / history.length];
+        }));
+        // averaged values are passed if they achieve the passmark
+        average.isPassed = this.passmark
+          ? this.passmark.getIsPassed({ isComplete: true, isAchieved: this.passmark.isAchievedBy(average) })
+          : history.lastItem.isPassed;
+        return average;
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Returns the value of the retained attempt, or the value of the current attempt
+   * @protected
+   * @param {string} name
+   * @param {function} getLiveValue
+   * @returns {any}
+   */
+  _getRetainedValue(name, getLiveValue) {
+    if (this._isRetentionSuspended) return getLiveValue();
+    const attempt = this.retainedAttempt;
+    return attempt ? attempt[name] : getLiveValue();
+  }
+
+  /**
+   * Returns the cached value, calculating it on first access after the cache is cleared
+   * @protected
+   * @param {string} name
+   * @param {function} calculate
+   * @returns {any}
+   */
+  _getCached(name, calculate) {
+    if (!this.isCacheEnabled) return calculate();
+    if (this._cache.has(name)) return this._cache.get(name);
+    const value = calculate();
+    this._cache.set(name, value);
+    return value;
+  }
+
   /**
    * Filter modules by intersection
    * @param {Backbone.Model} models
@@ -201,6 +449,41 @@ export default class ScoringSet extends Backbone.Controller {
     return !this.isOptional && this.isAvailable && this._isScoreIncluded;
   }
 
+  /**
+   * Returns the relative weight of the set when included in a weighted overall score
+   * @returns {number}
+   */
+  get weight() {
+    return this._weight;
+  }
+
+  /**
+   * Returns the model attributes which, when changed on an intersecting model, require the set to update.
+   * Includes the `_watchedAttributes` configured for the set and for the overall scoring
+   * @returns {[string]}
+   */
+  get watchedAttributes() {
+    return [...new Set([
+      '_isAvailable',
+      '_isInteractionComplete',
+      '_isComplete',
+      '_isOptional',
+      '_isCorrect',
+      '_score',
+      ...(Adapt.scoring.watchedAttributes ?? []),
+      ...this._watchedAttributes
+    ])];
+  }
+
+  /**
+   * Returns whether derived values, such as `score` and `questions`, are cached between changes.
+   * Intersection subsets are transient and always calculate their values
+   * @returns {boolean}
+   */
+  get isCacheEnabled() {
+    return !this.subsetParent;
+  }
+
   /**
    * Returns whether the set needs to be completed
    * @returns {boolean}
@@ -222,12 +505,12 @@ export default class ScoringSet extends Backbone.Controller {
    * @returns {[ComponentModel]}
    */
   get rawComponents() {
-    return this.rawModels.reduce((components, model) => {
+    return this._getCached('rawComponents', () => this.rawModels.reduce((components, model) => {
       const models = model.isTypeGroup('component')
         ? [model]
         : model.findDescendantModels('component');
       return components.concat(models);
-    }, []);
+    }, []));
   }
 
   /**
@@ -260,7 +543,7 @@ export default class ScoringSet extends Backbone.Controller {
    * @returns {[ComponentModel]}
    */
   get components() {
-    return this.rawComponents.filter(isAvailableInHierarchy);
+    return this._getCached('components', () => this.rawComponents.filter(isAvailableInHierarchy));
   }
 
   /**
@@ -276,7 +559,7 @@ export default class ScoringSet extends Backbone.Controller {
    * @returns {[QuestionModel]}
    */
   get questions() {
-    return this.rawQuestions.filter(isAvailableInHierarchy);
+    return this._getCached('questions', () => this.rawQuestions.filter(isAvailableInHierarchy));
   }
 
   /**
@@ -300,7 +583,7 @@ export default class ScoringSet extends Backbone.Controller {
    * @returns {number}
    */
   get minScore() {
-    return this.questions.reduce((score, set) => score + set.minScore, 0);
+    return this._getRetainedValue('minScore', () => this._getCached('minScore', () => this.questions.reduce((score, set) => score + set.minScore, 0)));
   }
 
   /**
@@ -308,7 +591,7 @@ export default class ScoringSet extends Backbone.Controller {
    * @returns {number}
    */
   get maxScore() {
-    return this.questions.reduce((score, set) => score + set.maxScore, 0);
+    return this._getRetainedValue('maxScore', () => this._getCached('maxScore', () => this.questions.reduce((score, set) => score + set.maxScore, 0)));
   }
 
   /**
@@ -316,7 +599,7 @@ export default class ScoringSet extends Backbone.Controller {
    * @returns {number}
    */
   get score() {
-    return this.questions.reduce((score, set) => score + set.score, 0);
+    return this._getRetainedValue('score', () => this._getCached('score', () => this.questions.reduce((score, set) => score + set.score, 0)));
   }
 
   /**
@@ -324,7 +607,7 @@ export default class ScoringSet extends Backbone.Controller {
    * @returns {number}
    */
   get scaledScore() {
-    return getScaledScoreFromMinMax(this.score, this.minScore, this.maxScore);
+    return this._getRetainedValue('scaledScore', () => getScaledScoreFromMinMax(this.score, this.minScore, this.maxScore));
   }
 
   /**
@@ -342,7 +625,7 @@ export default class ScoringSet extends Backbone.Controller {
    * @returns {number}
    */
   get correctness() {
-    return this.questions.reduce((count, model) => count + (model.get('_isCorrect') ? 1 : 0), 0);
+    return this._getRetainedValue('correctness', () => this._getCached('correctness', () => this.questions.reduce((count, model) => count + (model.get('_isCorrect') ? 1 : 0), 0)));
   }
 
   /**
@@ -350,15 +633,77 @@ export default class ScoringSet extends Backbone.Controller {
    * @returns {number}
    */
   get scaledCorrectness() {
-    return getScaledScoreFromMinMax(this.correctness, 0, this.questions.length);
+    return this._getRetainedValue('scaledCorrectness', () => getScaledScoreFromMinMax(this.correctness, 0, this.questions.length));
+  }
+
+  /**
+   * Returns the policy determining which attempt is reported by `score`, `scaledScore`, `correctness` and `isPassed`
+   * @returns {string}
+   */
+  get scoreRetention() {
+    return this._scoreRetention;
+  }
+
+  /**
+   * Returns the policy used to resolve the saved state when the content of the set has changed between sessions.
+   * Defaults to the overall `_migrationPolicy`
+   * @returns {string}
+   */
+  get migrationPolicy() {
+    return this._migrationPolicy || Adapt.scoring.migrationPolicy;
+  }
+
+  /**
+   * Returns a hash of the ids of the models and questions of the set, identifying its content for saved states
+   * @returns {string}
+   */
+  get fingerprint() {
+    return createFingerprint([...this.rawModels, ...this.rawQuestions].map(model => model.get('_id')));
+  }
+
+  /**
+   * Returns the maximum number of attempts, where `_attempts` of `0`, `-1` or `"infinite"` allow unlimited attempts
+   * @returns {number}
+   */
+  get maxAttempts() {
+    const attempts = this._attempts;
+    if (attempts === 'infinite' || attempts <= 0) return Infinity;
+    return attempts;
+  }
+
+  /**
+   * Returns the snapshots of the completed attempts, oldest first.
+   * Only the saved attempts are restored from previous sessions
+   * @returns {[Object]}
+   */
+  get attemptHistory() {
+    return this._attemptHistory;
+  }
+
+  /**
+   * Returns the number of completed attempts
+   * @returns {number}
+   */
+  get attemptsUsed() {
+    return this._attemptsUsed;
+  }
+
+  /**
+   * Returns the number of attempts remaining
+   * @returns {number}
+   */
+  get attemptsLeft() {
+    return Math.max(this.maxAttempts - this.attemptsUsed, 0);
   }
 
   /**
-   * Returns whether the set can be reset
+   * Returns whether the set can be reset for another attempt.
+   * Only completed root sets with attempts remaining can be reset
    * @returns {boolean}
    */
   get canReset() {
-    return false;
+    if (this.subsetParent) return false;
+    return this.isComplete && this.attemptsLeft > 0;
   }
 
   /**
@@ -390,15 +735,77 @@ export default class ScoringSet extends Backbone.Controller {
   }
 
   /**
-   * Returns whether the configured passmark has been achieved
+   * Returns the configured passmark.
+   * Intersection subsets without a passmark use the passmark of their parent set
+   * @returns {Passmark|null}
+   */
+  get passmark() {
+    return this._passmark ?? this.subsetParent?.passmark ?? null;
+  }
+
+  /**
+   * Returns whether the configured passmark has been achieved, according to the pass policy and `_scoreRetention`.
+   * Override for custom pass criteria, using `_getRetainedValue` to honour `_scoreRetention`
    * @returns {boolean}
    */
   get isPassed() {
-    Logging.error(`isPassed must be overriden for ${this.constructor.name}`);
+    return this._getRetainedValue('isPassed', () => {
+      const passmark = this.passmark;
+      if (!passmark) {
+        Logging.error(`isPassed must be overriden or a _passmark configured for ${this.constructor.name}`);
+        return;
+      }
+      return passmark.getIsPassed({ isComplete: this.isComplete, isAchieved: passmark.isAchievedBy(this) });
+    });
   }
 
+  /**
+   * Returns whether the configured passmark has not been achieved and the set cannot be reset, according to the pass policy
+   * @returns {boolean}
+   */
   get isFailed() {
-    return (this.isPassed === false);
+    const passmark = this.passmark;
+    if (!passmark) return (this.isPassed === false);
+    return passmark.getIsFailed({ isComplete: this.isComplete, isPassed: this.isPassed, canReset: this.canReset });
+  }
+
+  /**
+   * Returns the grade bands, ordered from highest to lowest.
+   * Falls back to the grades of the passmark
+   * @returns {[Grade]}
+   */
+  get grades() {
+    if (this._grades.length) return this._grades;
+    return this.passmark?.grades ?? [];
+  }
+
+  /**
+   * Returns the highest grade achieved
+   * @returns {Grade|null}
+   */
+  get grade() {
+    return this.grades.find(grade => grade.isAchievedBy(this)) ?? null;
+  }
+
+  /**
+   * Returns whether any of the components have been interacted with
+   * @returns {boolean}
+   */
+  get isAttempted() {
+    return this.components.some(model => model.get('_isInteractionComplete'));
+  }
+
+  /**
+   * Returns the state of the current attempt.
+   * Completed sets which are not explicitly failed are considered passed, whereas completed sets which are
+   * not passed are only failed according to `isFailed`, remaining in progress whilst they can be reset
+   * @returns {string}
+   */
+  get state() {
+    const isComplete = this.isComplete;
+    if (isComplete && this.isPassed !== false) return SCORING_STATE.PASSED;
+    if (isComplete && this.isFailed) return SCORING_STATE.FAILED;
+    return (isComplete || this.isAttempted) ? SCORING_STATE.IN_PROGRESS : SCORING_STATE.NOT_ATTEMPTED;
   }
 
   /**
@@ -413,18 +820,51 @@ export default class ScoringSet extends Backbone.Controller {
     return (this.isPopulated === false);
   }
 
+  /**
+   * Returns whether the set is reported as an objective.
+   * Defaults to the overall `_objectives._isEnabled`
+   * @returns {boolean}
+   */
+  get isObjectiveEnabled() {
+    if (this.subsetParent) return false;
+    return this._objective._isEnabled ?? Adapt.scoring.objectiveConfig._isEnabled;
+  }
+
+  /**
+   * Returns the objective id, being the configured `_objective._id` or the set id with the `_objective._idPrefix`
+   * @returns {string}
+   */
+  get objectiveId() {
+    if (this._objective._id) return this._objective._id;
+    const prefix = this._objective._idPrefix || Adapt.scoring.objectiveConfig._idPrefix;
+    return `${prefix}${this.id}`;
+  }
+
+  /**
+   * Returns which attempt is reported to the objective.
+   * Defaults to the overall `_objectives._result`
+   * @returns {string}
+   */
+  get objectiveResult() {
+    return this._objective._result || Adapt.scoring.objectiveConfig._result;
+  }
+
+  /**
+   * Returns whether the objective retains the result of a previous attempt
+   * @protected
+   * @returns {boolean}
+   */
+  get _isObjectiveResultRetained() {
+    return this.objectiveResult === OBJECTIVE_RESULT.FIRST && this.attemptsUsed > 0;
+  }
+
   /**
    * Define the objective for reporting purposes
    * @protected
    */
   _initializeObjective() {
-    if (this.subsetParent) return;
-    const id = this.id;
-    const description = this.title;
-    const completionStatus = COMPLETION_STATE.NOTATTEMPTED.asLowerCase;
-    OfflineStorage.set('objectiveDescription', id, description);
-    if (this.isComplete) return;
-    OfflineStorage.set('objectiveStatus', id, completionStatus);
+    if (!this.isObjectiveEnabled || this._isObjectiveResultRetained) return;
+    initializeObjective(this.objectiveId, this);
   }
 
   /**
@@ -432,25 +872,19 @@ export default class ScoringSet extends Backbone.Controller {
    * @protected
    */
   _resetObjective() {
-    if (this.subsetParent || this.isComplete) return;
-    const id = this.id;
-    const completionStatus = COMPLETION_STATE.INCOMPLETE.asLowerCase;
-    OfflineStorage.set('objectiveScore', id, this.score, this.minScore, this.maxScore);
-    OfflineStorage.set('objectiveStatus', id, completionStatus);
+    if (!this.isObjectiveEnabled || this.isComplete || this._isObjectiveResultRetained) return;
+    resetObjective(this.objectiveId, this);
   }
 
   /**
-   * Complete the objective
-   * @todo Always updates to latest data - is this desired?
+   * Complete the objective with the latest result, or only the first result if `_objective._result` is `first`
    * @protected
    */
   _completeObjective() {
-    if (this.subsetParent) return;
-    const id = this.id;
-    const completionStatus = COMPLETION_STATE.COMPLETED.asLowerCase;
-    const successStatus = (this.isPassed ? COMPLETION_STATE.PASSED : COMPLETION_STATE.FAILED).asLowerCase;
-    OfflineStorage.set('objectiveScore', id, this.score, this.minScore, this.maxScore);
-    OfflineStorage.set('objectiveStatus', id, completionStatus, successStatus);
+    if (!this.isObjectiveEnabled) return;
+    // the completed attempt is recorded before the objective is completed
+    if (this.objectiveResult === OBJECTIVE_RESULT.FIRST && this.attemptsUsed > 1) return;
+    completeObjective(this.objectiveId, this);
   }
 
   /**
@@ -459,6 +893,7 @@ export default class ScoringSet extends Backbone.Controller {
    */
   onCompleted() {
     if (this.subsetParent) return;
+    this._recordAttempt();
     Adapt.trigger(`scoring:${this.type}:complete scoring:set:complete`, this);
     Logging.debug(`${this.id} completed`);
     this._completeObjective();
@@ -474,4 +909,69 @@ export default class ScoringSet extends Backbone.Controller {
     Logging.debug(`${this.id} passed`);
   }
 
+  /**
+   * @fires Adapt#scoring:[set.type]:failed
+   * @fires Adapt#scoring:set:failed
+   */
+  onFailed() {
+    if (this.subsetParent) return;
+    Adapt.trigger(`scoring:${this.type}:failed scoring:set:failed`, this);
+    Logging.debug(`${this.id} failed`);
+  }
+
+  /**
+   * @fires Adapt#scoring:[set.type]:started
+   * @fires Adapt#scoring:set:started
+   */
+  onStarted() {
+    if (this.subsetParent) return;
+    Adapt.trigger(`scoring:${this.type}:started scoring:set:started`, this);
+    Logging.debug(`${this.id} started`);
+  }
+
+  /**
+   * @fires Adapt#scoring:[set.type]:incomplete
+   * @fires Adapt#scoring:set:incomplete
+   */
+  onIncomplete() {
+    if (this.subsetParent) return;
+    Adapt.trigger(`scoring:${this.type}:incomplete scoring:set:incomplete`, this);
+    Logging.debug(`${this.id} incomplete`);
+  }
+
+  /**
+   * @param {string} state
+   * @param {string} previousState
+   * @fires Adapt#scoring:[set.type]:state
+   * @fires Adapt#scoring:set:state
+   */
+  onStateChanged(state, previousState) {
+    if (this.subsetParent) return;
+    Adapt.trigger(`scoring:${this.type}:state scoring:set:state`, this, state, previousState);
+    if (previousState === SCORING_STATE.NOT_ATTEMPTED && state === SCORING_STATE.IN_PROGRESS) this.onStarted();
+    if (state === SCORING_STATE.FAILED) this.onFailed();
+  }
+
+  /**
+   * @param {string} policy
+   * @fires Adapt#scoring:[set.type]:migrated
+   * @fires Adapt#scoring:set:migrated
+   */
+  onMigrated(policy) {
+    if (this.subsetParent) return;
+    Adapt.trigger(`scoring:${this.type}:migrated scoring:set:migrated`, this, policy);
+  }
+
+  /**
+   * @param {Grade|null} grade
+   * @param {Grade|null} previousGrade
+   * @fires Adapt#scoring:[set.type]:grade
+   * @fires Adapt#scoring:set:grade
+   */
+  onGradeChanged(grade, previousGrade) {
+    if (this.subsetParent) return;
+    Adapt.trigger(`scoring:${this.type}:grade scoring:set:grade`, this, grade, previousGrade);
+    Logging.debug(`${this.id} grade ${grade?.id ?? 'none'}`);
+  }
+
 }
@@ -0,0 +1,122 @@
+/**
+ * A registry of root scoring sets, indexed by type and id.
+ * Sets are unique by type and id, such that sets of different types may share an id.
+ */
+export default class ScoringSetRegistry {
+
+  constructor() {
+    this._setsByType = new Map();
+    this._setsById = new Map();
+    this._orderedSets = new Set();
+    this._sets = null;
+  }
+
+  /**
+   * Add a set to the registry
+   * @param {ScoringSet} set
+   * @throws {Error} When a set with the same type and id is already registered
+   */
+  add(set) {
+    if (this.has(set)) throw new Error(`Cannot register two sets with the same type and id: ${set.type} ${set.id}`);
+    if (!this._setsByType.has(set.type)) this._setsByType.set(set.type, new Map());
+    this._setsByType.get(set.type).set(set.id, set);
+    if (!this._setsById.has(set.id)) this._setsById.set(set.id, []);
+    this._setsById.get(set.id).push(set);
+    this._orderedSets.add(set);
+    this._sets = null;
+  }
+
+  /**
+   * Remove a set from the registry
+   * @param {ScoringSet} set
+   * @returns {boolean} Whether the set was registered
+   */
+  remove(set) {
+    const registeredSet = this.get(set.type, set.id);
+    if (!registeredSet) return false;
+    const setsOfType = this._setsByType.get(set.type);
+    setsOfType.delete(set.id);
+    if (!setsOfType.size) this._setsByType.delete(set.type);
+    const setsWithId = this._setsById.get(set.id).filter(set => set !== registeredSet);
+    if (setsWithId.length) this._setsById.set(set.id, setsWithId);
+    else this._setsById.delete(set.id);
+    this._orderedSets.delete(registeredSet);
+    this._sets = null;
+    return true;
+  }
+
+  clear() {
+    this._setsByType.clear();
+    this._setsById.clear();
+    this._orderedSets.clear();
+    this._sets = null;
+  }
+
+  /**
+   * Returns whether a set with the same type and id is registered
+   * @param {ScoringSet} set
+   * @returns {boolean}
+   */
+  has(set) {
+    return Boolean(this.get(set.type, set.id));
+  }
+
+  /**
+   * Returns the set registered with the type and id
+   * @param {string} type
+   * @param {string} id
+   * @returns {ScoringSet|undefined}
+   */
+  get(type, id) {
+    return this._setsByType.get(type)?.get(id);
+  }
+
+  /**
+   * Returns the first registered set with the id, regardless of type
+   * @param {string} id
+   * @returns {ScoringSet|undefined}
+   */
+  getById(id) {
+    return this._setsById.get(id)?.[0];
+  }
+
+  /**
+   * Returns all registered sets with the id, regardless of type
+   * @param {string} id
+   * @returns {[ScoringSet]}
+   */
+  getAllById(id) {
+    return this._setsById.get(id)?.slice() ?? [];
+  }
+
+  /**
+   * Returns all registered sets of the type
+   * @param {string} type
+   * @returns {[ScoringSet]}
+   */
+  getByType(type) {
+    return [...(this._setsByType.get(type)?.values() ?? [])];
+  }
+
+  /**
+   * Returns the number of registered sets
+   * @returns {number}
+   */
+  get size() {
+    return this._orderedSets.size;
+  }
+
+  /**
+   * Returns a read-only array of all registered sets in registration order
+   * @returns {[ScoringSet]}
+   */
+  toArray() {
+    if (!this._sets) this._sets = Object.freeze([...this._orderedSets]);
+    return this._sets;
+  }
+
+  [Symbol.iterator]() {
+    return this.toArray()[Symbol.iterator]();
+  }
+
+}
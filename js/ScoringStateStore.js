@@ -0,0 +1,112 @@
+import Logging from 'core/js/logging';
+import OfflineStorage from 'core/js/offlineStorage';
+
+/**
+ * The `OfflineStorage` name under which the state of all root sets is saved
+ */
+const STORAGE_NAME = 'scoring';
+
+/**
+ * The version of the saved data structure, to be incremented whenever the structure changes
+ */
+export const STATE_VERSION = 2;
+
+/**
+ * Functions to upgrade the saved data from each previous version to the next
+ */
+const MIGRATIONS = {
+  // version 1 states were saved without a content fingerprint
+  1: ({ s }) => ({
+    v: 2,
+    s: Object.fromEntries(Object.entries(s).map(([key, state]) => [key, { f: null, d: state }]))
+  })
+};
+
+/**
+ * Saves the state of root scoring sets to `OfflineStorage` as a single versioned object,
+ * in the form `{ v: version, s: { 'type:id': { f: fingerprint, d: state } } }`, where the fingerprint
+ * identifies the content of the set at the time of saving
+ */
+export default class ScoringStateStore {
+
+  constructor() {
+    this._data = null;
+  }
+
+  /**
+   * Returns the saved state of the set from previous sessions
+   * @param {ScoringSet} set
+   * @returns {Object|null}
+   */
+  get(set) {
+    return this._getData().s[this._getKey(set)]?.d ?? null;
+  }
+
+  /**
+   * Returns the content fingerprint saved with the state of the set, or `null` if unknown
+   * @param {ScoringSet} set
+   * @returns {string|null}
+   */
+  getFingerprint(set) {
+    return this._getData().s[this._getKey(set)]?.f ?? null;
+  }
+
+  /**
+   * Save the state of the set, stamped with the fingerprint of its current content
+   * @param {ScoringSet} set
+   * @param {Object|null} state
+   */
+  set(set, state) {
+    if (!OfflineStorage.ready) return;
+    const data = this._getData();
+    const key = this._getKey(set);
+    if (state) data.s[key] = { f: set.fingerprint, d: state };
+    else delete data.s[key];
+    OfflineStorage.set(STORAGE_NAME, data);
+  }
+
+  /**
+   * Discard the loaded data, such that it is reloaded from `OfflineStorage` on next use
+   */
+  clear() {
+    this._data = null;
+  }
+
+  /**
+   * @private
+   * @param {ScoringSet} set
+   * @returns {string}
+   */
+  _getKey(set) {
+    return `${set.type}:${set.id}`;
+  }
+
+  /**
+   * @private
+   * @returns {{ v: number, s: Object }}
+   */
+  _getData() {
+    if (this._data) return this._data;
+    // saved data is only available once offline storage is ready
+    if (!OfflineStorage.ready) return { v: STATE_VERSION, s: {} };
+    this._data = this._migrate(OfflineStorage.get(STORAGE_NAME));
+    return this._data;
+  }
+
+  /**
+   * Returns the saved data upgraded to the current version structure, discarding unknown versions
+   * @private
+   * @param {Object} data
+   * @returns {{ v: number, s: Object }}
+   */
+  _migrate(data) {
+    if (!data) return { v: STATE_VERSION, s: {} };
+    while (data.s && data.v !== STATE_VERSION && MIGRATIONS[data.v]) {
+      data = MIGRATIONS[data.v](data);
+    }
+    if (data.v === STATE_VERSION && data.s) return data;
+    Logging.warn(`Scoring cannot restore saved state version ${data.v}`);
+    return { v: STATE_VERSION, s: {} };
+  }
+
+}
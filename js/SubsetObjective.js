@@ -0,0 +1,70 @@
+import Adapt from 'core/js/adapt';
+import Logging from 'core/js/logging';
+import {
+  initializeObjective,
+  completeObjective
+} from './objectives';
+
+/**
+ * Reports the first set returned by a query, such as an intersection subset, as an objective.
+ * Configured in `_scoring._objectives._subsets`
+ */
+export default class SubsetObjective {
+
+  constructor({
+    _id,
+    _query,
+    title = null
+  } = {}) {
+    this._id = _id;
+    this._query = _query;
+    this._title = title;
+    this._wasComplete = false;
+  }
+
+  get id() {
+    return this._id;
+  }
+
+  /**
+   * Returns the objective id, being the `_id` with the overall `_objectives._idPrefix`
+   * @returns {string}
+   */
+  get objectiveId() {
+    return `${Adapt.scoring.objectiveConfig._idPrefix}${this.id}`;
+  }
+
+  get query() {
+    return this._query;
+  }
+
+  /**
+   * Returns the first set returned by the query
+   * @returns {ScoringSet|null}
+   */
+  get set() {
+    return Adapt.scoring.getSubsetsByQuery(this.query)[0] ?? null;
+  }
+
+  init() {
+    const set = this.set;
+    if (!set) {
+      Logging.warn(`Scoring objective ${this.id} query "${this.query}" returned no sets`);
+      return;
+    }
+    this._wasComplete = set.isComplete;
+    initializeObjective(this.objectiveId, set, this._title || set.title);
+  }
+
+  /**
+   * Complete the objective when the set is completed
+   */
+  update() {
+    const set = this.set;
+    if (!set) return;
+    const isComplete = set.isComplete;
+    if (isComplete && !this._wasComplete) completeObjective(this.objectiveId, set);
+    this._wasComplete = isComplete;
+  }
+
+}
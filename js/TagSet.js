@@ -0,0 +1,35 @@
+import Data from 'core/js/data';
+import GroupSet from './GroupSet';
+
+/**
+ * A set of all models tagged with the set id in their `_scoringTags` attribute.
+ * Created automatically for each tag, with default attributes from `_scoring._tags`
+ */
+export default class TagSet extends GroupSet {
+
+  initialize(options = {}, subsetParent = null) {
+    super.initialize({
+      _type: 'tag',
+      ...options,
+      title: options.title || options._id
+    }, subsetParent);
+  }
+
+  /**
+   * Returns the tag
+   * @returns {string}
+   */
+  get tag() {
+    return this.id;
+  }
+
+  /**
+   * Returns all models tagged with the tag
+   * @override
+   * @returns {[Backbone.Model]}
+   */
+  get rawModels() {
+    return this._getCached('rawModels', () => Data.filter(model => model.get('_scoringTags')?.includes(this.tag)));
+  }
+
+}
@@ -0,0 +1,234 @@
+import Adapt from 'core/js/adapt';
+import Logging from 'core/js/logging';
+import OfflineStorage from 'core/js/offlineStorage';
+import HTTPTransport from './HTTPTransport';
+import Backbone from 'backbone';
+
+/**
+ * The xAPI verbs used for scoring statements
+ */
+const VERBS = {
+  completed: 'http://adlnet.gov/expapi/verbs/completed',
+  passed: 'http://adlnet.gov/expapi/verbs/passed',
+  failed: 'http://adlnet.gov/expapi/verbs/failed',
+  scored: 'http://adlnet.gov/expapi/verbs/scored'
+};
+
+const ACTIVITY_TYPE = 'http://adlnet.gov/expapi/activities/assessment';
+
+/**
+ * The maximum number of statements sent together, keeping requests within the `keepalive` body size limit
+ */
+const MAX_BATCH_SIZE = 25;
+
+/**
+ * The delays in milliseconds before retrying failed statements, doubling from the first up to the maximum
+ */
+const RETRY_DELAY = 1000;
+const MAX_RETRY_DELAY = 60000;
+
+/**
+ * Builds xAPI statements for the lifecycle events of root sets and the overall `Scoring`, sending them through
+ * a transport. Enabled by `_scoring._xAPI._isEnabled`, sending to `_scoring._xAPI._endpoint` unless another
+ * transport is set with `setTransport`, such as a stand-in LRS for testing.
+ * Statements are queued and sent in order, and are kept and retried with an increasing delay whilst the transport fails.
+ */
+class XAPIAdapter extends Backbone.Controller {
+
+  initialize() {
+    this._config = null;
+    this._transport = null;
+    this._queue = [];
+    this._isSending = false;
+    this._retryDelay = RETRY_DELAY;
+    this._retryTimeout = null;
+    this.listenTo(Adapt, {
+      'app:dataReady': this.onAppDataReady,
+      'scoring:set:complete scoring:complete': this.onCompleted,
+      'scoring:set:passed scoring:pass': this.onPassed,
+      'scoring:set:failed scoring:fail': this.onFailed
+    });
+  }
+
+  /**
+   * Use a custom transport, with a `send(statements)` function returning a promise
+   * @param {{ send: function([Object]): Promise }} transport
+   */
+  setTransport(transport) {
+    this._transport = transport;
+  }
+
+  get transport() {
+    return this._transport;
+  }
+
+  get isEnabled() {
+    return Boolean(this._config?._isEnabled);
+  }
+
+  /**
+   * Queue the statement to be sent through the transport
+   * @param {Object} statement
+   */
+  send(statement) {
+    if (!this.transport) {
+      Logging.warn('Scoring xAPI statement not sent as no transport is configured');
+      return;
+    }
+    this._queue.push(statement);
+    this._flush();
+  }
+
+  /**
+   * Send the queued statements through the transport in batches.
+   * Failed statements are kept at the front of the queue and retried after an increasing delay
+   * @private
+   * @returns {Promise}
+   */
+  async _flush() {
+    if (this._isSending || this._retryTimeout || !this._queue.length) return;
+    const statements = this._queue.slice(0, MAX_BATCH_SIZE);
+    this._isSending = true;
+    try {
+      await this.transport.send(statements);
+      this._queue.splice(0, statements.length);
+      this._retryDelay = RETRY_DELAY;
+    } catch (err) {
+      Logging.warn(`Scoring xAPI statements not sent, retrying in ${this._retryDelay / 1000}s: ${err.message}`);
+      this._retryTimeout = setTimeout(() => {
+        this._retryTimeout = null;
+        this._flush();
+      }, this._retryDelay);
+      this._retryDelay = Math.min(this._retryDelay * 2, MAX_RETRY_DELAY);
+    } finally {
+      this._isSending = false;
+    }
+    // send any statements queued whilst sending
+    this._flush();
+  }
+
+  /**
+   * Returns a statement for the verb and set
+   * @param {string} verb
+   * @param {Scoring|ScoringSet} set
+   * @returns {Object}
+   */
+  createStatement(verb, set) {
+    return {
+      actor: this._getActor(),
+      verb: {
+        id: VERBS[verb],
+        display: { 'en-US': verb }
+      },
+      object: {
+        objectType: 'Activity',
+        id: this._getActivityId(set),
+        definition: {
+          type: ACTIVITY_TYPE,
+          name: { [this._getLanguage()]: set.title || set.id || 'Scoring' }
+        }
+      },
+      result: this._getResult(set),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * @private
+   * @returns {Object}
+   */
+  _getActor() {
+    const learnerInfo = OfflineStorage.get('learnerinfo') ?? {};
+    return {
+      objectType: 'Agent',
+      name: learnerInfo.name,
+      account: {
+        homePage: this._config._homePage || window.location.origin,
+        name: String(learnerInfo.id ?? '')
+      }
+    };
+  }
+
+  /**
+   * Returns the activity id of the set, or of the overall `Scoring` which has no type
+   * @private
+   * @param {Scoring|ScoringSet} set
+   * @returns {string}
+   */
+  _getActivityId(set) {
+    const root = (this._config._activityId || `${window.location.origin}${window.location.pathname}`).replace(/\/?$/, '');
+    if (set === Adapt.scoring) return `${root}/scoring`;
+    return `${root}/scoring/${encodeURIComponent(set.type)}/${encodeURIComponent(set.id)}`;
+  }
+
+  /**
+   * @private
+   * @returns {string}
+   */
+  _getLanguage() {
+    return Adapt.config?.get('_activeLanguage') ?? 'en';
+  }
+
+  /**
+   * @private
+   * @param {Scoring|ScoringSet} set
+   * @returns {Object}
+   */
+  _getResult(set) {
+    const result = {
+      score: {
+        raw: set.score,
+        min: set.minScore,
+        max: set.maxScore,
+        scaled: Math.max(-1, Math.min(1, set.scaledScore / 100))
+      },
+      completion: Boolean(set.isComplete)
+    };
+    const isPassed = set.isPassed;
+    if (typeof isPassed === 'boolean') result.success = isPassed;
+    return result;
+  }
+
+  /**
+   * @listens Adapt#app:dataReady
+   */
+  onAppDataReady() {
+    this._config = Adapt.course.get('_scoring')?._xAPI ?? null;
+    if (!this.isEnabled || this._transport || !this._config._endpoint) return;
+    this._transport = new HTTPTransport(this._config);
+  }
+
+  /**
+   * @param {Scoring|ScoringSet} set
+   * @listens Adapt#scoring:set:complete
+   * @listens Adapt#scoring:complete
+   */
+  onCompleted(set) {
+    if (!this.isEnabled) return;
+    this.send(this.createStatement('completed', set));
+    this.send(this.createStatement('scored', set));
+  }
+
+  /**
+   * @param {Scoring|ScoringSet} set
+   * @listens Adapt#scoring:set:passed
+   * @listens Adapt#scoring:pass
+   */
+  onPassed(set) {
+    if (!this.isEnabled) return;
+    this.send(this.createStatement('passed', set));
+  }
+
+  /**
+   * @param {Scoring|ScoringSet} set
+   * @listens Adapt#scoring:set:failed
+   * @listens Adapt#scoring:fail
+   */
+  onFailed(set) {
+    if (!this.isEnabled) return;
+    this.send(this.createStatement('failed', set));
+  }
+
+}
+
+export default new XAPIAdapter();
@@ -2,24 +2,52 @@ import Adapt from 'core/js/adapt';
 import Data from 'core/js/data';
 import Logging from 'core/js/logging';
 import AdaptModelSet from './AdaptModelSet';
+import CompositeSet from './CompositeSet';
+import FormulaSet from './FormulaSet';
+import GroupSet from './GroupSet';
+import TagSet from './TagSet';
+import HierarchyIndex from './HierarchyIndex';
 import Passmark from './Passmark';
+import ScoringSetRegistry from './ScoringSetRegistry';
+import ScoringStateStore from './ScoringStateStore';
+import SubsetObjective from './SubsetObjective';
+import XAPIAdapter from './XAPIAdapter';
+import WEIGHTING from './enums/weightingEnum';
+import MIGRATION_POLICY from './enums/migrationPolicyEnum';
+import OBJECTIVE_RESULT from './enums/objectiveResultEnum';
+import SCORING_STATE from './enums/scoringStateEnum';
 import {
   getSubsetById,
   getSubsetsByType,
   getSubsetsByModelId,
   getSubSetByPath,
   getSubsetsByQuery,
-  getScaledScoreFromMinMax
+  getScaledScoreFromMinMax,
+  isAvailableInHierarchy,
+  validateQuery,
+  validateFormula,
+  clearQueryCache
 } from './utils';
 import './helpers';
 import Backbone from 'backbone';
 import _ from 'underscore';
 
+/**
+ * The set classes which can be declared in `_scoring._sets` by `_type`
+ */
+const CONFIGURABLE_SET_CLASSES = {
+  group: GroupSet,
+  composite: CompositeSet,
+  formula: FormulaSet
+};
+
 export {
   filterModels,
   filterIntersectingHierarchy,
   hasIntersectingHierarchy,
   createIntersectionSubset,
+  getIntersectionSubset,
+  clearQueryCache,
   getRawSets,
   getSubsets,
   getSubsetById,
@@ -28,41 +56,56 @@ export {
   getSubSetByPath,
   getSubsetsByQuery,
   getScaledScoreFromMinMax,
-  isAvailableInHierarchy
+  isAvailableInHierarchy,
+  validateQuery,
+  validateFormula
 } from './utils';
 
 class Scoring extends Backbone.Controller {
 
   initialize() {
+    this._registry = new ScoringSetRegistry();
+    this._stateStore = new ScoringStateStore();
+    this._attributeDependencies = new Map();
+    this._attributeListeners = new Map();
     this.listenTo(Data, {
       loading: this.onDataLoading,
-      add: this._addAdaptModelSet,
-      remove: this._removeAdaptModelSet
+      add: this._onDataAdd,
+      remove: this._onDataRemove
     });
     this.listenTo(Adapt, {
       'app:dataReady': this.onAppDataReady,
-      'adapt:start': this.onAdaptStart
+      'adapt:start': this.onAdaptStart,
+      'scoring:set:complete': this._onCompatibilitySetComplete,
+      'scoring:set:reset': this._onCompatibilitySetReset
     });
   }
 
   init() {
-    this.subsets.forEach(set => set.init());
+    this._registeredSubsets.forEach(set => set.init());
+    this.subsetObjectives.forEach(objective => objective.init());
     this._wasComplete = this.isComplete;
     this._wasPassed = this.isPassed;
+    this._wasGrade = this.grade;
+    this._wasState = this.state;
   }
 
   /**
    * Register a configured root scoring set.
    * This is usually performed automatically upon ScoringSet instantiation.
    * @param {ScoringSet} newSet
+   * @throws {Error} When a set with the same type and id is already registered
    * @fires Adapt#{set.type}:register
    * @fires Adapt#scoring:register
    */
   register(newSet) {
-    const hasDuplicatedId = this._rawSets.some(set => set.id === newSet.id);
-    if (hasDuplicatedId) throw new Error(`Cannot register two sets with the same id: ${newSet.id}`);
-    this._rawSets.push(newSet);
+    this._registry.add(newSet);
+    this._addDependencies(newSet);
+    clearQueryCache();
+    this._refreshDerivedSets(newSet);
     Adapt.trigger(`${newSet.type}:register scoring:register`, newSet);
+    // sets registered before start are announced once initialised, so as not to derive values before the models are restored
+    if (this.isBackwardCompatible && this._isStarted && this._isCompatibilitySet(newSet)) this._triggerCompatibilityRegister(newSet);
   }
 
   /**
@@ -72,42 +115,87 @@ class Scoring extends Backbone.Controller {
    * @fires Adapt#scoring:deregister
    */
   deregister(oldSet) {
-    const setIndex = this._rawSets.findIndex(set => set.id === oldSet.id);
-    this._rawSets.splice(setIndex, 1);
+    if (!oldSet || !this._registry.remove(oldSet)) {
+      Logging.warn(`Cannot deregister an unregistered set: ${oldSet?.type} ${oldSet?.id}`);
+      return;
+    }
+    this._removeDependencies(oldSet);
+    clearQueryCache();
+    this._refreshDerivedSets(oldSet);
     Adapt.trigger(`${oldSet.type}:deregister scoring:deregister`, oldSet);
   }
 
   /**
-   * Force all registered sets to recalculate their states
+   * Force all registered sets to recalculate their states, or only those sets which depend upon the queued changes.
+   * Clears the cached parsed queries and intersection subsets
    * @property {Scoring}
    * @fires Adapt#scoring:update
    */
   update() {
-    const queuedChanges = [...new Set(this._queuedChanges)];
-    const updateSubsets = !queuedChanges?.length
-      ? this.subsets
-      : [...new Set(queuedChanges.reduce((subsets, model) => subsets.concat(getSubsetsByModelId(model?.get('_id'))), []))];
-    updateSubsets.forEach(set => set.update());
+    clearQueryCache();
+    const queuedChanges = this._queuedChanges ?? [];
     this._queuedChanges = [];
+    if (!queuedChanges.length) this._clearSubsetCaches();
+    const updateSubsets = !queuedChanges.length
+      ? this._registeredSubsets
+      : this._getDependentSubsets(queuedChanges);
+    updateSubsets.forEach(set => set.update());
     if (!updateSubsets.length) return;
+    this.subsetObjectives.forEach(objective => objective.update());
     const isComplete = this.isComplete;
     if (isComplete && !this._wasComplete) this.onCompleted();
     const isPassed = this.isPassed;
     if (isPassed && !this._wasPassed) this.onPassed();
+    const grade = this.grade;
+    if (grade !== this._wasGrade) this.onGradeChanged(grade, this._wasGrade);
+    const state = this.state;
+    if (state !== this._wasState) this.onStateChanged(state, this._wasState);
     this._wasComplete = isComplete;
     this._wasPassed = isPassed;
+    this._wasGrade = grade;
+    this._wasState = state;
     Adapt.trigger('scoring:update', this);
   }
 
   /**
    * Reset all subsets which can be reset
+   * @fires Adapt#assessment:reset
    * @fires Adapt#scoring:reset
    */
   reset() {
-    this.subsets.forEach(set => set.canReset && set.reset());
+    this._registeredSubsets.forEach(set => set.canReset && set.reset());
+    if (this.isBackwardCompatible) Adapt.trigger('assessment:reset', this._compatibilityState);
     Adapt.trigger('scoring:reset', this);
   }
 
+  /**
+   * Returns the state of a root set saved in a previous session
+   * @param {ScoringSet} set
+   * @returns {Object|null}
+   */
+  getSavedState(set) {
+    return this._stateStore.get(set);
+  }
+
+  /**
+   * Save the state of a root set to `OfflineStorage`
+   * @param {ScoringSet} set
+   */
+  saveState(set) {
+    this._stateStore.set(set, set.getState());
+  }
+
+  /**
+   * Returns whether the content of a root set has changed since its state was saved in a previous session.
+   * States saved without a content fingerprint are assumed to be unchanged
+   * @param {ScoringSet} set
+   * @returns {boolean}
+   */
+  hasContentChanged(set) {
+    const fingerprint = this._stateStore.getFingerprint(set);
+    return Boolean(fingerprint) && fingerprint !== set.fingerprint;
+  }
+
   /**
    * Returns registered root sets of type
    * @param {string} type
@@ -135,6 +223,24 @@ class Scoring extends Backbone.Controller {
     return getSubsetsByQuery(query);
   }
 
+  /**
+   * Returns whether the query is syntactically valid, with the error message and zero-based character position if not
+   * @param {string} query
+   * @returns {{ isValid: boolean, message: string|null, position: number|null }}
+   */
+  validateQuery(query) {
+    return validateQuery(query);
+  }
+
+  /**
+   * Returns whether the formula is syntactically valid, with the error message and zero-based character position if not
+   * @param {string} formula
+   * @returns {{ isValid: boolean, message: string|null, position: number|null }}
+   */
+  validateFormula(formula) {
+    return validateFormula(formula);
+  }
+
   /**
    * Returns a registered root set by id
    * @param {string} id
@@ -192,12 +298,103 @@ class Scoring extends Backbone.Controller {
     return state;
   }
 
+  /**
+   * Returns whether the set acts as a legacy assessment, being a root set other than an `adapt` type set whose model is an article
+   * @private
+   * @param {ScoringSet} set
+   * @returns {boolean}
+   */
+  _isCompatibilitySet(set) {
+    return !set.subsetParent && set.type !== 'adapt' && Boolean(set.model?.isTypeGroup('article'));
+  }
+
+  /**
+   * Returns the registered root sets which act as legacy assessments
+   * @private
+   * @returns {[ScoringSet]}
+   */
+  get _compatibilitySets() {
+    return this._registeredSubsets.filter(set => this._isCompatibilitySet(set));
+  }
+
+  /**
+   * Returns the state of a set in the shape of a legacy assessment state
+   * @private
+   * @param {ScoringSet} set
+   * @returns {Object}
+   */
+  _getCompatibilitySetState(set) {
+    const passmark = set.passmark;
+    const toLegacyAttempts = attempts => (attempts === Infinity) ? 'infinite' : attempts;
+    return {
+      id: set.id,
+      type: set.type,
+      articleId: set.model?.get('_id'),
+      isEnabled: true,
+      isComplete: set.isComplete,
+      isPercentageBased: passmark?.isScaled ?? true,
+      scoreToPass: passmark?.score,
+      score: set.score,
+      scoreAsPercent: set.scaledScore,
+      maxScore: set.maxScore,
+      minScore: set.minScore,
+      correctCount: set.correctness,
+      correctAsPercent: set.scaledCorrectness,
+      correctToPass: passmark?.correctness,
+      questionCount: set.questions.length,
+      isPass: set.isPassed,
+      includeInTotalScore: set.isScoreIncluded,
+      assessmentWeight: set.weight,
+      attempts: toLegacyAttempts(set.maxAttempts),
+      attemptsSpent: set.attemptsUsed,
+      attemptsLeft: toLegacyAttempts(set.attemptsLeft),
+      attemptInProgress: set.state === SCORING_STATE.IN_PROGRESS,
+      lastAttemptScoreAsPercent: set.attemptHistory.lastItem?.scaledScore ?? null,
+      canRetry: set.canReset,
+      questions: set.questions.map(model => ({
+        _id: model.get('_id'),
+        _isCorrect: model.get('_isCorrect')
+      }))
+    };
+  }
+
+  /**
+   * @private
+   * @param {ScoringSet} set
+   * @fires Adapt#assessments:register
+   */
+  _triggerCompatibilityRegister(set) {
+    Adapt.trigger('assessments:register', this._getCompatibilitySetState(set), set.model);
+  }
+
+  /**
+   * @private
+   * @param {ScoringSet} set
+   * @listens Adapt#scoring:set:complete
+   * @fires Adapt#assessments:complete
+   */
+  _onCompatibilitySetComplete(set) {
+    if (!this.isBackwardCompatible || !this._isCompatibilitySet(set)) return;
+    Adapt.trigger('assessments:complete', this._getCompatibilitySetState(set), set.model);
+  }
+
+  /**
+   * @private
+   * @param {ScoringSet} set
+   * @listens Adapt#scoring:set:reset
+   * @fires Adapt#assessments:reset
+   */
+  _onCompatibilitySetReset(set) {
+    if (!this.isBackwardCompatible || !this._isCompatibilitySet(set)) return;
+    Adapt.trigger('assessments:reset', this._getCompatibilitySetState(set), set.model);
+  }
+
   /**
    * Returns root sets marked with `_isCompletionRequired`
    * @returns {[ScoringSet]}
    */
   get completionSets() {
-    return this._rawSets.filter(({ isCompletionRequired }) => isCompletionRequired);
+    return this._registeredSubsets.filter(({ isCompletionRequired }) => isCompletionRequired);
   }
 
   /**
@@ -205,7 +402,7 @@ class Scoring extends Backbone.Controller {
    * @returns {[ScoringSet]}
    */
   get scoringSets() {
-    return this._rawSets.filter(({ isScoreIncluded }) => isScoreIncluded);
+    return this._registeredSubsets.filter(({ isScoreIncluded }) => isScoreIncluded);
   }
 
   /**
@@ -213,8 +410,8 @@ class Scoring extends Backbone.Controller {
    * @returns {[Backbone.Model]}
    */
   get models() {
-    const models = this.subsets.reduce((models, set) => models.concat(set.models), []);
-    return [...new Set(models)];
+    // every available content model is the model of its `adapt` type set, created or not
+    return Data.filter(isAvailableInHierarchy);
   }
 
   /**
@@ -227,11 +424,77 @@ class Scoring extends Backbone.Controller {
   }
 
   /**
-   * Returns registered root sets
+   * Returns registered root sets as a read-only array, excluding the lazily created `adapt` type sets
    * @returns {[ScoringSet]}
    */
   get subsets() {
-    return this._rawSets;
+    return Object.freeze(this._registry.toArray().filter(set => set.type !== 'adapt'));
+  }
+
+  /**
+   * Returns all of the root sets registered so far as a read-only array, including any created `adapt` type sets
+   * @private
+   * @returns {[ScoringSet]}
+   */
+  get _registeredSubsets() {
+    return this._registry.toArray();
+  }
+
+  /**
+   * Returns the registry of root sets, indexed by type and id.
+   * Use `register` and `deregister` to modify the registered sets
+   * @returns {ScoringSetRegistry}
+   */
+  get registry() {
+    return this._registry;
+  }
+
+  /**
+   * Returns the configured model attributes to watch for changes in addition to those declared by each set
+   * @returns {[string]}
+   */
+  get watchedAttributes() {
+    return this._watchedAttributes;
+  }
+
+  /**
+   * Returns the configured policy used to resolve the saved state of sets whose content has changed between sessions
+   * @returns {string}
+   */
+  get migrationPolicy() {
+    return this._migrationPolicy;
+  }
+
+  /**
+   * Returns the adapter sending xAPI statements for scoring events, on which a custom transport can be set
+   * @returns {XAPIAdapter}
+   */
+  get xAPI() {
+    return XAPIAdapter;
+  }
+
+  /**
+   * Returns the configured objective reporting defaults for all sets
+   * @returns {{ _isEnabled: boolean, _idPrefix: string, _result: string }}
+   */
+  get objectiveConfig() {
+    return this._objectiveConfig;
+  }
+
+  /**
+   * Returns the objectives configured to report the sets returned by queries, such as intersection subsets
+   * @returns {[SubsetObjective]}
+   */
+  get subsetObjectives() {
+    return this._subsetObjectives ?? [];
+  }
+
+  /**
+   * Returns the configured mode used to combine the `_isScoreIncluded` subsets
+   * @returns {string}
+   */
+  get weighting() {
+    return this._weighting;
   }
 
   /**
@@ -239,7 +502,7 @@ class Scoring extends Backbone.Controller {
    * @returns {number}
    */
   get minScore() {
-    return this.scoringSets.reduce((score, set) => score + set.minScore, 0);
+    return this._sumScoringSets(set => set.minScore);
   }
 
   /**
@@ -247,7 +510,7 @@ class Scoring extends Backbone.Controller {
    * @returns {number}
    */
   get maxScore() {
-    return this.scoringSets.reduce((score, set) => score + set.maxScore, 0);
+    return this._sumScoringSets(set => set.maxScore);
   }
 
   /**
@@ -255,14 +518,16 @@ class Scoring extends Backbone.Controller {
    * @returns {number}
    */
   get score() {
-    return this.scoringSets.reduce((score, set) => score + set.score, 0);
+    return this._sumScoringSets(set => set.score);
   }
 
   /**
-   * Returns a percentage score relative to a positive minimum or zero and maximum values
+   * Returns a percentage score relative to a positive minimum or zero and maximum values.
+   * Returns the weighted average of the subset percentages if `_weighting` is `weightedScaled`
    * @returns {number}
    */
   get scaledScore() {
+    if (this.weighting === WEIGHTING.WEIGHTED_SCALED) return this._averageScoringSets(set => set.scaledScore);
     return getScaledScoreFromMinMax(this.score, this.minScore, this.maxScore);
   }
 
@@ -271,15 +536,20 @@ class Scoring extends Backbone.Controller {
    * @returns {number}
    */
   get correctness() {
-    return this.scoringSets.reduce((count, set) => count + set.correctness, 0);
+    return this._sumScoringSets(set => set.correctness);
   }
 
   /**
-   * Returns the percentage of correctly answered questions
+   * Returns the percentage of correctly answered questions.
+   * Returns the weighted average of the subset percentages if `_weighting` is `weightedScaled`
    * @returns {number}
    */
   get scaledCorrectness() {
-    return getScaledScoreFromMinMax(this.correctness, 0, this.questions.length);
+    if (this.weighting === WEIGHTING.WEIGHTED_SCALED) return this._averageScoringSets(set => set.scaledCorrectness);
+    const questionCount = (this.weighting === WEIGHTING.WEIGHTED_RAW)
+      ? this._sumScoringSets(set => set.questions.length)
+      : this.questions.length;
+    return getScaledScoreFromMinMax(this.correctness, 0, questionCount);
   }
 
   /**
@@ -291,12 +561,19 @@ class Scoring extends Backbone.Controller {
   }
 
   /**
-   * Returns whether any root sets marked with `_isScoreIncluded` can be reset
-   * @todo Add `canReset` to `ScoringSet`?
+   * Returns the highest passmark grade achieved
+   * @returns {Grade|null}
+   */
+  get grade() {
+    return this.passmark.getGrade(this);
+  }
+
+  /**
+   * Returns whether any root sets marked with `_isScoreIncluded` can be reset, having attempts remaining
    * @returns {boolean}
    */
   get canReset() {
-    return this.scoringSets.some(set => set?.canReset);
+    return this.scoringSets.some(set => set.canReset);
   }
 
   /**
@@ -308,47 +585,214 @@ class Scoring extends Backbone.Controller {
   }
 
   /**
-   * Returns whether the configured passmark has been achieved for `_isScoreIncluded` sets.
+   * Returns whether the configured passmark has been achieved for `_isScoreIncluded` sets, according to the pass policy.
    * If _passmark._requiresPassedSubsets then all scoring subsets have to be passed.
+   * If _passmark._requiresCompletion then all completion subsets have to be completed.
+   * If the passmark is disabled then it is passed on completion.
    * @override
    * @returns {boolean}
    */
   get isPassed() {
-    //if (!this.isComplete) return false; // must be completed for a pass
-    //if (!this.passmark.isEnabled && this.isComplete) return true; // always pass if complete and passmark is disabled
-    const isEverySubsetPassed = this.scoringSets.every(set => set.isPassed)
-    const isScaled = this.passmark.isScaled;
-    const score = (isScaled) ? this.scaledScore : this.score;
-    const correctness = (isScaled) ? this.scaledCorrectness : this.correctness;
-    const isPassed = score >= this.passmark.score && correctness >= this.passmark.correctness;
-    return this.passmark.requiresPassedSubsets ? isPassed && isEverySubsetPassed : isPassed;
+    const passmark = this.passmark;
+    const isAchieved = passmark.isAchievedBy(this) && (!passmark.requiresPassedSubsets || this.scoringSets.every(set => set.isPassed));
+    return passmark.getIsPassed({ isComplete: this.isComplete, isAchieved });
   }
 
   /**
-   * Returns whether any root sets marked with `_isScoreIncluded` are failed and cannot be reset
-   * @todo Add `canReset` to `ScoringSet`?
+   * Returns the state of the root sets marked with `_isCompletionRequired` or `_isScoreIncluded`
+   * @returns {string}
+   */
+  get state() {
+    const isComplete = this.isComplete;
+    if (isComplete && this.isPassed) return SCORING_STATE.PASSED;
+    if (isComplete && this.isFailed) return SCORING_STATE.FAILED;
+    // completed courses which are not passed remain in progress whilst any set can be reset
+    if (isComplete) return SCORING_STATE.IN_PROGRESS;
+    const sets = new Set([...this.completionSets, ...this.scoringSets]);
+    const isAttempted = [...sets].some(set => set.state !== SCORING_STATE.NOT_ATTEMPTED);
+    return isAttempted ? SCORING_STATE.IN_PROGRESS : SCORING_STATE.NOT_ATTEMPTED;
+  }
+
+  /**
+   * Returns whether the passmark has not been achieved and all root sets marked with `_isScoreIncluded` have exhausted
+   * their attempts, according to the pass policy
    * @returns {boolean}
    */
   get isFailed() {
-    return !this.isPassed && !this.canReset;
+    return this.passmark.getIsFailed({
+      isComplete: this.isComplete,
+      isPassed: this.isPassed,
+      canReset: this.canReset
+    });
+  }
+
+  /**
+   * Returns the sum of the values from all `_isScoreIncluded` subsets, multiplied by each subset `weight` if `_weighting` is `weightedRaw`
+   * @private
+   * @param {function} getValue
+   * @returns {number}
+   */
+  _sumScoringSets(getValue) {
+    const isWeighted = (this.weighting === WEIGHTING.WEIGHTED_RAW);
+    return this.scoringSets.reduce((sum, set) => sum + getValue(set) * (isWeighted ? set.weight : 1), 0);
+  }
+
+  /**
+   * Returns the average of the values from all `_isScoreIncluded` subsets, weighted by each subset `weight`
+   * @private
+   * @param {function} getValue
+   * @returns {number}
+   */
+  _averageScoringSets(getValue) {
+    const scoringSets = this.scoringSets;
+    const totalWeight = scoringSets.reduce((sum, set) => sum + set.weight, 0);
+    if (!totalWeight) return 0;
+    const sum = scoringSets.reduce((sum, set) => sum + getValue(set) * set.weight, 0);
+    return Math.round(sum / totalWeight);
   }
 
   /**
    * @private
    */
   _setupBackwardCompatibility() {
+    const getCompatibilitySet = id => this._compatibilitySets.find(set => set.id === id);
     Adapt.assessment = {
-      get: id => this.getSubsetById(id)?.model,
-      getState: () => this._compatibilityState
+      get: id => getCompatibilitySet(id)?.model,
+      getState: id => {
+        if (id === undefined) return this._compatibilityState;
+        const set = getCompatibilitySet(id);
+        return set ? this._getCompatibilitySetState(set) : undefined;
+      }
     };
   }
 
+  /**
+   * Returns the `adapt` type set for the model id, creating it on first request
+   * @param {string} id
+   * @returns {AdaptModelSet|undefined}
+   */
+  getAdaptModelSet(id) {
+    const set = this._registry.get('adapt', id);
+    if (set) return set;
+    const model = Data.findById(id);
+    if (!model) return;
+    return this._createAdaptModelSet(model);
+  }
+
+  /**
+   * Create the `adapt` type sets for the given models, or all models, which have not yet been requested
+   * @param {[Backbone.Model]} [models]
+   */
+  createAdaptModelSets(models = null) {
+    if (!models && this._hasAllAdaptModelSets) return;
+    (models ?? Data).forEach(model => {
+      if (this._registry.get('adapt', model.get('_id'))) return;
+      this._createAdaptModelSet(model);
+    });
+    if (!models) this._hasAllAdaptModelSets = true;
+  }
+
+  /**
+   * Create the sets declared in `_scoring._sets`
+   * @private
+   */
+  _createConfiguredSets() {
+    const configs = this._config?._sets ?? [];
+    configs.forEach(config => {
+      const type = config._type ?? 'group';
+      const Class = CONFIGURABLE_SET_CLASSES[type];
+      if (!Class) {
+        Logging.error(`Scoring cannot create set ${config._id} of unknown type ${type}`);
+        return;
+      }
+      try {
+        new Class({ ...config, _type: type });
+      } catch (err) {
+        // skip sets which cannot be registered, such as those with a duplicate type and id
+        Logging.error(`Scoring cannot create set ${config._id}: ${err.message}`);
+      }
+    });
+  }
+
+  /**
+   * Create a `tag` type set for each tag in the `_scoringTags` of all models, removing the sets of tags which are no longer used.
+   * Only performed once the data is ready and `_scoring._tags._isEnabled` is not `false`
+   * @private
+   */
+  _updateTagSets() {
+    if (!this._tagConfig) return;
+    const tags = new Set();
+    Data.forEach(model => model.get('_scoringTags')?.forEach(tag => tags.add(tag)));
+    this._registry.getByType('tag')
+      .filter(set => !tags.has(set.id))
+      .forEach(set => this.deregister(set));
+    tags.forEach(tag => {
+      if (this._registry.get('tag', tag)) return;
+      const set = new TagSet({ ...this._tagConfig, _id: tag });
+      if (this._isStarted) set.init();
+    });
+  }
+
+  /**
+   * @private
+   * @param {Backbone.Model} model
+   * @returns {AdaptModelSet}
+   */
+  _createAdaptModelSet(model) {
+    const set = new AdaptModelSet({ model });
+    if (this._isStarted) set.init();
+    return set;
+  }
+
+  /**
+   * Returns registered root sets which watch the changed attributes and intersect the changed models,
+   * without creating `adapt` type sets
+   * @private
+   * @param {[{ model: Backbone.Model, attribute: string }]} changes
+   * @returns {[ScoringSet]}
+   */
+  _getDependentSubsets(changes) {
+    const subsets = new Set();
+    const changedAttributesByModel = new Map();
+    changes.forEach(({ model, attribute }) => {
+      if (!changedAttributesByModel.has(model)) changedAttributesByModel.set(model, new Set());
+      changedAttributesByModel.get(model).add(attribute);
+    });
+    changedAttributesByModel.forEach((attributes, model) => {
+      const isIntersecting = HierarchyIndex.createIntersectionTest([model]);
+      attributes.forEach(attribute => {
+        this._attributeDependencies.get(attribute)?.forEach(set => {
+          if (subsets.has(set) || !set.rawModels.some(isIntersecting)) return;
+          subsets.add(set);
+        });
+      });
+    });
+    return [...subsets];
+  }
+
+  /**
+   * @private
+   */
+  _onDataAdd() {
+    this._hasAllAdaptModelSets = false;
+    this._clearSubsetCaches();
+    this._updateTagSets();
+  }
+
   /**
    * @private
    * @param {Backbone.Model} model
    */
-  _addAdaptModelSet(model) {
-    new AdaptModelSet({ model });
+  _onDataRemove(model) {
+    this._removeAdaptModelSet(model);
+    this._updateTagSets();
+  }
+
+  /**
+   * @private
+   */
+  _clearSubsetCaches() {
+    this._registeredSubsets.forEach(set => set.clearCache());
   }
 
   /**
@@ -356,7 +800,9 @@ class Scoring extends Backbone.Controller {
    * @param {Backbone.Model} model
    */
   _removeAdaptModelSet(model) {
-    const set = getSubsetById(model.get('_id'));
+    this._clearSubsetCaches();
+    const set = this._registry.get('adapt', model.get('_id'));
+    if (!set) return;
     this.deregister(set);
   }
 
@@ -366,21 +812,73 @@ class Scoring extends Backbone.Controller {
   _setupListeners() {
     this._debouncedUpdate = _.debounce(this.update, 50);
     this._queuedChanges = [];
-    this.listenTo(Data, 'change:_isAvailable change:_isInteractionComplete', this._updateQueue);
+    this._attributeDependencies.clear();
+    this._isListening = true;
+    this._registeredSubsets.forEach(set => this._addDependencies(set));
   }
 
   /**
    * @private
    */
   _removeListeners() {
-    this.stopListening(Data, 'change:_isAvailable change:_isInteractionComplete', this._updateQueue);
+    this._isListening = false;
+    this._attributeListeners.forEach((listener, attribute) => this.stopListening(Data, `change:${attribute}`, listener));
+    this._attributeListeners.clear();
+    this._attributeDependencies.clear();
+  }
+
+  /**
+   * Subscribe to changes of the attributes watched by the set
+   * @private
+   * @param {ScoringSet} set
+   */
+  _addDependencies(set) {
+    if (!this._isListening) return;
+    set.watchedAttributes.forEach(attribute => {
+      if (!this._attributeDependencies.has(attribute)) this._attributeDependencies.set(attribute, new Set());
+      this._attributeDependencies.get(attribute).add(set);
+      if (this._attributeListeners.has(attribute)) return;
+      const listener = model => this._updateQueue(model, attribute);
+      this._attributeListeners.set(attribute, listener);
+      this.listenTo(Data, `change:${attribute}`, listener);
+    });
+  }
+
+  /**
+   * @private
+   * @param {ScoringSet} set
+   */
+  _removeDependencies(set) {
+    this._attributeDependencies.forEach(sets => sets.delete(set));
+  }
+
+  /**
+   * Clear the caches of the sets derived from other sets, such as composite sets, whose children may have changed
+   * with the registered or deregistered set, and subscribe to the attributes watched by their current children.
+   * `adapt` type sets are ignored, as they are created by the lookups which would include them
+   * @private
+   * @param {ScoringSet} changedSet
+   */
+  _refreshDerivedSets(changedSet) {
+    if (changedSet.type === 'adapt') return;
+    this._registeredSubsets
+      .filter(set => set !== changedSet && set.getSetDependencies)
+      .forEach(set => {
+        set.clearCache();
+        this._addDependencies(set);
+      });
   }
 
   /**
    * @private
+   * @param {Backbone.Model} model
+   * @param {string} attribute
    */
-  _updateQueue(model) {
-    this._queuedChanges.push(model);
+  _updateQueue(model, attribute) {
+    // clear derived values immediately, such that they are correct before the debounced update
+    this._attributeDependencies.get(attribute)?.forEach(set => set.clearCache());
+    clearQueryCache();
+    this._queuedChanges.push({ model, attribute });
     this._debouncedUpdate();
   }
 
@@ -389,7 +887,13 @@ class Scoring extends Backbone.Controller {
    */
   onDataLoading() {
     this._removeListeners();
-    this._rawSets = [];
+    this._registry.clear();
+    this._stateStore.clear();
+    this._subsetObjectives = [];
+    this._isBackwardCompatible = false;
+    this._tagConfig = null;
+    this._hasAllAdaptModelSets = false;
+    this._isStarted = false;
   }
 
   /**
@@ -400,12 +904,28 @@ class Scoring extends Backbone.Controller {
     this._id = this._config?._id;
     this._title = this._config?.title;
     this._passmark = new Passmark(this._config?._passmark);
+    this._weighting = this._config?._weighting ?? WEIGHTING.RAW;
+    this._watchedAttributes = this._config?._watchedAttributes ?? [];
+    this._migrationPolicy = this._config?._migrationPolicy ?? MIGRATION_POLICY.RECOMPUTE;
+    const {
+      _isEnabled = true,
+      _idPrefix = '',
+      _result = OBJECTIVE_RESULT.LATEST,
+      _subsets = []
+    } = this._config?._objectives ?? {};
+    this._objectiveConfig = { _isEnabled, _idPrefix, _result };
+    this._subsetObjectives = _subsets.map(config => new SubsetObjective(config));
     this._isBackwardCompatible = this._config?._isBackwardCompatible ?? false;
     if (this.isBackwardCompatible) this._setupBackwardCompatibility();
+    this._createConfiguredSets();
+    const tagConfig = this._config?._tags ?? {};
+    this._tagConfig = (tagConfig._isEnabled !== false) ? _.omit(tagConfig, '_isEnabled') : null;
+    this._updateTagSets();
   }
 
   /**
    * @listens Adapt#adapt:start
+   * @fires Adapt#assessments:register
    * @fires Adapt#assessment:restored
    * @fires Adapt#scoring:restored
    */
@@ -414,7 +934,11 @@ class Scoring extends Backbone.Controller {
     Adapt.trigger('scoring:restored', this);
     // delay any listeners until all models have been restored
     this._setupListeners();
+    this._isStarted = true;
+    // discard any values derived before the models were restored
+    this._clearSubsetCaches();
     this.init();
+    if (this.isBackwardCompatible) this._compatibilitySets.forEach(set => this._triggerCompatibilityRegister(set));
     this.update();
   }
 
@@ -438,6 +962,37 @@ class Scoring extends Backbone.Controller {
     Logging.debug('scoring passed');
   }
 
+  /**
+   * @fires Adapt#scoring:fail
+   * @property {Scoring}
+   */
+  onFailed() {
+    Adapt.trigger('scoring:fail', this);
+    Logging.debug('scoring failed');
+  }
+
+  /**
+   * @param {string} state
+   * @param {string} previousState
+   * @fires Adapt#scoring:state
+   * @property {Scoring}
+   */
+  onStateChanged(state, previousState) {
+    Adapt.trigger('scoring:state', this, state, previousState);
+    if (state === SCORING_STATE.FAILED) this.onFailed();
+  }
+
+  /**
+   * @param {Grade|null} grade
+   * @param {Grade|null} previousGrade
+   * @fires Adapt#scoring:grade
+   * @property {Scoring}
+   */
+  onGradeChanged(grade, previousGrade) {
+    Adapt.trigger('scoring:grade', this, grade, previousGrade);
+    Logging.debug(`scoring grade ${grade?.id ?? 'none'}`);
+  }
+
 }
 
 export default (Adapt.scoring = new Scoring());
@@ -0,0 +1,19 @@
+/**
+ * Strategies used by composite sets to combine the values of their child sets
+ * @readonly
+ * @enum {string}
+ */
+const AGGREGATION = Object.freeze({
+  /** Sum the scores of the children, complete when all children are complete and passed by the passmark */
+  SUM: 'sum',
+  /** Sum the scores of the children multiplied by their `_weight`, averaging their scaled values by `_weight` */
+  WEIGHTED: 'weighted',
+  /** Sum the scores of the children, complete when all children are complete and passed when all children are passed */
+  ALL_PASSED: 'allPassed',
+  /** Sum the scores of the children, complete when all children are complete and passed when any child is passed */
+  ANY_PASSED: 'anyPassed',
+  /** Sum the scores of the children, complete when `_requiredCount` children are complete and passed when `_requiredCount` children are passed */
+  N_OF_M: 'nOfM'
+});
+
+export default AGGREGATION;
@@ -0,0 +1,15 @@
+/**
+ * Policies used to resolve a saved set state when the content of the set has changed between sessions
+ * @readonly
+ * @enum {string}
+ */
+const MIGRATION_POLICY = Object.freeze({
+  /** Restore the saved state unchanged */
+  KEEP: 'keep',
+  /** Restore the saved attempts unchanged, recalculating only the set status from the current models */
+  RECOMPUTE: 'recompute',
+  /** Discard the saved state and reset the set */
+  RESET: 'reset'
+});
+
+export default MIGRATION_POLICY;
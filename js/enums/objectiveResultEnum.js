@@ -0,0 +1,13 @@
+/**
+ * Policies used to determine which attempt of a scoring set is reported to its objective
+ * @readonly
+ * @enum {string}
+ */
+const OBJECTIVE_RESULT = Object.freeze({
+  /** Report every completed attempt, such that the objective holds the latest result */
+  LATEST: 'latest',
+  /** Only report the first completed attempt */
+  FIRST: 'first'
+});
+
+export default OBJECTIVE_RESULT;
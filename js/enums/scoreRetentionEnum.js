@@ -0,0 +1,17 @@
+/**
+ * Policies used to determine which attempt a scoring set reports once it has completed attempts
+ * @readonly
+ * @enum {string}
+ */
+const SCORE_RETENTION = Object.freeze({
+  /** Report the current attempt */
+  LATEST: 'latest',
+  /** Report the best completed attempt, preferring passed attempts then the highest scaled score and correctness */
+  BEST: 'best',
+  /** Report the first completed attempt */
+  FIRST: 'first',
+  /** Report the mean of the completed attempts */
+  AVERAGE: 'average'
+});
+
+export default SCORE_RETENTION;
@@ -0,0 +1,17 @@
+/**
+ * The states of a scoring set attempt
+ * @readonly
+ * @enum {string}
+ */
+const SCORING_STATE = Object.freeze({
+  /** No models have been interacted with */
+  NOT_ATTEMPTED: 'notAttempted',
+  /** Some models have been interacted with but the set is incomplete */
+  IN_PROGRESS: 'inProgress',
+  /** The set is complete and passed */
+  PASSED: 'passed',
+  /** The set is complete and failed */
+  FAILED: 'failed'
+});
+
+export default SCORING_STATE;
@@ -0,0 +1,15 @@
+/**
+ * Modes used to combine the `_isScoreIncluded` root sets into the overall score
+ * @readonly
+ * @enum {string}
+ */
+const WEIGHTING = Object.freeze({
+  /** Sum the raw values of each set, ignoring `_weight` */
+  RAW: 'raw',
+  /** Sum the raw values of each set multiplied by its `_weight` */
+  WEIGHTED_RAW: 'weightedRaw',
+  /** Average the scaled values of each set according to its `_weight` */
+  WEIGHTED_SCALED: 'weightedScaled'
+});
+
+export default WEIGHTING;
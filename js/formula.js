@@ -0,0 +1,303 @@
+import FormulaSyntaxError from './FormulaSyntaxError';
+
+/**
+ * Formula grammar:
+ * formula := expression
+ * expression := term (('+' | '-') term)*
+ * term := factor (('*' | '/') factor)*
+ * factor := '-' factor | number | '(' expression ')' | function | reference
+ * function := name '(' (expression (',' expression)*)? ')'
+ * reference := selector '.' name
+ * selector := '#' id | name | quoted query
+ * Whitespace is ignored outside of quoted queries.
+ */
+
+export const TOKEN_TYPE = Object.freeze({
+  NUMBER: 'number',
+  NAME: 'name',
+  ID: 'id',
+  STRING: 'string',
+  OPERATOR: 'operator',
+  DOT: '.',
+  COMMA: ',',
+  OPEN_PARENTHESIS: '(',
+  CLOSE_PARENTHESIS: ')'
+});
+
+const PUNCTUATION = {
+  '.': TOKEN_TYPE.DOT,
+  ',': TOKEN_TYPE.COMMA,
+  '(': TOKEN_TYPE.OPEN_PARENTHESIS,
+  ')': TOKEN_TYPE.CLOSE_PARENTHESIS
+};
+
+/**
+ * The functions available to formulas, each taking the flattened values of its arguments.
+ * Without a prototype, such that inherited names like `constructor` are not functions
+ */
+export const FUNCTIONS = Object.freeze(Object.assign(Object.create(null), {
+  avg: values => values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0,
+  sum: values => values.reduce((sum, value) => sum + value, 0),
+  min: values => values.length ? Math.min(...values) : 0,
+  max: values => values.length ? Math.max(...values) : 0,
+  count: values => values.length
+}));
+
+const whitespaceRegExp = /\s+/y;
+const numberRegExp = /\d+(\.\d+)?|\.\d+/y;
+const nameRegExp = /[A-Za-z_]\w*/y;
+const idRegExp = /#[\w-]+/y;
+const operatorRegExp = /[+\-*/]/y;
+
+/**
+ * Returns the token matching the sticky regular expression at the position, if any
+ * @param {RegExp} regExp
+ * @param {string} formula
+ * @param {number} position
+ * @returns {string|null}
+ */
+function matchAt(regExp, formula, position) {
+  regExp.lastIndex = position;
+  return regExp.exec(formula)?.[0] ?? null;
+}
+
+/**
+ * Splits a formula string into tokens
+ * @param {string} formula
+ * @returns {[{ type: string, value: string, position: number }]}
+ * @throws {FormulaSyntaxError}
+ */
+export function tokenize(formula = '') {
+  const tokens = [];
+  let position = 0;
+  while (position < formula.length) {
+    const character = formula[position];
+    const whitespace = matchAt(whitespaceRegExp, formula, position);
+    if (whitespace) {
+      position += whitespace.length;
+      continue;
+    }
+    if (character === '\'' || character === '"') {
+      const end = formula.indexOf(character, position + 1);
+      if (end === -1) throw new FormulaSyntaxError('Unterminated string', position, formula);
+      tokens.push({ type: TOKEN_TYPE.STRING, value: formula.slice(position + 1, end), position });
+      position = end + 1;
+      continue;
+    }
+    const number = matchAt(numberRegExp, formula, position);
+    if (number) {
+      tokens.push({ type: TOKEN_TYPE.NUMBER, value: number, position });
+      position += number.length;
+      continue;
+    }
+    const id = matchAt(idRegExp, formula, position);
+    if (id) {
+      tokens.push({ type: TOKEN_TYPE.ID, value: id, position });
+      position += id.length;
+      continue;
+    }
+    const operator = matchAt(operatorRegExp, formula, position);
+    if (operator) {
+      tokens.push({ type: TOKEN_TYPE.OPERATOR, value: operator, position });
+      position += operator.length;
+      continue;
+    }
+    const punctuationType = PUNCTUATION[character];
+    if (punctuationType) {
+      tokens.push({ type: punctuationType, value: character, position });
+      position++;
+      continue;
+    }
+    const name = matchAt(nameRegExp, formula, position);
+    if (!name) throw new FormulaSyntaxError(`Unexpected character '${character}'`, position, formula);
+    tokens.push({ type: TOKEN_TYPE.NAME, value: name, position });
+    position += name.length;
+  }
+  return tokens;
+}
+
+/**
+ * Recursive descent parser producing the formula syntax tree from the formula tokens
+ */
+class FormulaParser {
+
+  constructor(formula) {
+    this.formula = formula;
+    this.tokens = tokenize(formula);
+    this.index = 0;
+  }
+
+  get current() {
+    return this.tokens[this.index] ?? null;
+  }
+
+  get isEnded() {
+    return this.index >= this.tokens.length;
+  }
+
+  is(type, value = null) {
+    return this.current?.type === type && (value === null || this.current.value === value);
+  }
+
+  accept(type, value = null) {
+    if (!this.is(type, value)) return null;
+    return this.tokens[this.index++];
+  }
+
+  expect(type, description) {
+    const token = this.accept(type);
+    if (!token) this.error(`Expected ${description}`);
+    return token;
+  }
+
+  error(description) {
+    const current = this.current;
+    const position = current?.position ?? this.formula.length;
+    const found = current ? `'${current.value}'` : 'end of formula';
+    throw new FormulaSyntaxError(`${description} but found ${found}`, position, this.formula);
+  }
+
+  parseFormula() {
+    if (this.isEnded) this.error('Expected an expression');
+    const expression = this.parseExpression();
+    if (!this.isEnded) this.error('Expected an operator or end of formula');
+    return expression;
+  }
+
+  parseExpression() {
+    let left = this.parseTerm();
+    while (this.is(TOKEN_TYPE.OPERATOR, '+') || this.is(TOKEN_TYPE.OPERATOR, '-')) {
+      const operator = this.accept(TOKEN_TYPE.OPERATOR);
+      const right = this.parseTerm();
+      left = { type: 'BinaryExpression', operator: operator.value, left, right, position: operator.position };
+    }
+    return left;
+  }
+
+  parseTerm() {
+    let left = this.parseFactor();
+    while (this.is(TOKEN_TYPE.OPERATOR, '*') || this.is(TOKEN_TYPE.OPERATOR, '/')) {
+      const operator = this.accept(TOKEN_TYPE.OPERATOR);
+      const right = this.parseFactor();
+      left = { type: 'BinaryExpression', operator: operator.value, left, right, position: operator.position };
+    }
+    return left;
+  }
+
+  parseFactor() {
+    const minus = this.accept(TOKEN_TYPE.OPERATOR, '-');
+    if (minus) return { type: 'Negation', argument: this.parseFactor(), position: minus.position };
+    const number = this.accept(TOKEN_TYPE.NUMBER);
+    if (number) return { type: 'Number', value: Number(number.value), position: number.position };
+    const open = this.accept(TOKEN_TYPE.OPEN_PARENTHESIS);
+    if (open) {
+      const expression = this.parseExpression();
+      this.expect(TOKEN_TYPE.CLOSE_PARENTHESIS, '\')\'');
+      return expression;
+    }
+    const name = this.accept(TOKEN_TYPE.NAME);
+    if (name && this.is(TOKEN_TYPE.OPEN_PARENTHESIS)) return this.parseFunction(name);
+    if (name) return this.parseReference(name.value, name);
+    const id = this.accept(TOKEN_TYPE.ID);
+    if (id) return this.parseReference(id.value, id);
+    const string = this.accept(TOKEN_TYPE.STRING);
+    if (string) return this.parseReference(string.value, string);
+    this.error('Expected a number, function, reference or \'(\'');
+  }
+
+  parseFunction(name) {
+    if (!FUNCTIONS[name.value]) {
+      throw new FormulaSyntaxError(`Unknown function '${name.value}'`, name.position, this.formula);
+    }
+    this.expect(TOKEN_TYPE.OPEN_PARENTHESIS, '\'(\'');
+    const args = [];
+    if (!this.is(TOKEN_TYPE.CLOSE_PARENTHESIS)) {
+      do {
+        args.push(this.parseExpression());
+      } while (this.accept(TOKEN_TYPE.COMMA));
+    }
+    this.expect(TOKEN_TYPE.CLOSE_PARENTHESIS, '\')\'');
+    return { type: 'Function', name: name.value, arguments: args, position: name.position };
+  }
+
+  parseReference(query, token) {
+    this.expect(TOKEN_TYPE.DOT, `'.' and a property after '${token.value}'`);
+    const property = this.expect(TOKEN_TYPE.NAME, 'a property after \'.\'');
+    return { type: 'Reference', query, property: property.value, position: token.position };
+  }
+
+}
+
+/**
+ * Parses a formula string into a syntax tree
+ * @param {string} formula
+ * @returns {{ type: string, position: number }}
+ * @throws {FormulaSyntaxError}
+ */
+export function parse(formula = '') {
+  return new FormulaParser(formula).parseFormula();
+}
+
+/**
+ * Returns the references in the syntax tree, in formula order
+ * @param {{ type: string }} node
+ * @returns {[{ type: 'Reference', query: string, property: string }]}
+ */
+export function getReferences(node) {
+  switch (node.type) {
+    case 'Reference':
+      return [node];
+    case 'BinaryExpression':
+      return [...getReferences(node.left), ...getReferences(node.right)];
+    case 'Negation':
+      return getReferences(node.argument);
+    case 'Function':
+      return node.arguments.flatMap(getReferences);
+    default:
+      return [];
+  }
+}
+
+/**
+ * Returns the values of the node, where a reference has a value for each set returned by its query
+ * and any other node has a single value
+ * @param {{ type: string }} node
+ * @param {function(string, string): [number]} getValues Returns the values of the property for the sets returned by the query
+ * @returns {[number]}
+ */
+function evaluateValues(node, getValues) {
+  if (node.type === 'Reference') return getValues(node.query, node.property);
+  return [evaluate(node, getValues)];
+}
+
+/**
+ * Evaluates the syntax tree.
+ * References to several sets are summed unless passed to a function, references to no sets are `0`
+ * and division by zero is `0`
+ * @param {{ type: string }} node
+ * @param {function(string, string): [number]} getValues Returns the values of the property for the sets returned by the query
+ * @returns {number}
+ */
+export function evaluate(node, getValues) {
+  switch (node.type) {
+    case 'Number':
+      return node.value;
+    case 'Negation':
+      return -evaluate(node.argument, getValues);
+    case 'Reference':
+      return FUNCTIONS.sum(getValues(node.query, node.property));
+    case 'Function':
+      return FUNCTIONS[node.name](node.arguments.flatMap(argument => evaluateValues(argument, getValues)));
+    case 'BinaryExpression': {
+      const left = evaluate(node.left, getValues);
+      const right = evaluate(node.right, getValues);
+      switch (node.operator) {
+        case '+': return left + right;
+        case '-': return left - right;
+        case '*': return left * right;
+        case '/': return right ? left / right : 0;
+      }
+    }
+  }
+  return 0;
+}
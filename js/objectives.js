@@ -0,0 +1,62 @@
+import OfflineStorage from 'core/js/offlineStorage';
+import COMPLETION_STATE from 'core/js/enums/completionStateEnum';
+
+/**
+ * Functions to report a set as an LMS objective through `OfflineStorage`
+ */
+
+/**
+ * Returns the success status of the set
+ * @param {ScoringSet} set
+ * @returns {string}
+ */
+function getSuccessStatus(set) {
+  const isPassed = set.isPassed;
+  if (isPassed) return COMPLETION_STATE.PASSED.asLowerCase;
+  if (isPassed === false) return COMPLETION_STATE.FAILED.asLowerCase;
+  return COMPLETION_STATE.UNKNOWN.asLowerCase;
+}
+
+/**
+ * @param {string} id
+ * @param {ScoringSet} set
+ */
+function setObjectiveScore(id, set) {
+  OfflineStorage.set('objectiveScore', id, set.score, set.minScore, set.maxScore);
+}
+
+/**
+ * Define the objective, marking it as not attempted unless the set is already complete
+ * @param {string} id
+ * @param {ScoringSet} set
+ * @param {string} [description]
+ */
+export function initializeObjective(id, set, description = set.title) {
+  OfflineStorage.set('objectiveDescription', id, description);
+  if (set.isComplete) return;
+  const completionStatus = COMPLETION_STATE.NOTATTEMPTED.asLowerCase;
+  OfflineStorage.set('objectiveStatus', id, completionStatus);
+}
+
+/**
+ * Mark the objective as incomplete with the current score
+ * @param {string} id
+ * @param {ScoringSet} set
+ */
+export function resetObjective(id, set) {
+  const completionStatus = COMPLETION_STATE.INCOMPLETE.asLowerCase;
+  const successStatus = COMPLETION_STATE.UNKNOWN.asLowerCase;
+  setObjectiveScore(id, set);
+  OfflineStorage.set('objectiveStatus', id, completionStatus, successStatus);
+}
+
+/**
+ * Mark the objective as complete with the current score and success status
+ * @param {string} id
+ * @param {ScoringSet} set
+ */
+export function completeObjective(id, set) {
+  const completionStatus = COMPLETION_STATE.COMPLETED.asLowerCase;
+  setObjectiveScore(id, set);
+  OfflineStorage.set('objectiveStatus', id, completionStatus, getSuccessStatus(set));
+}
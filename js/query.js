@@ -0,0 +1,251 @@
+import QuerySyntaxError from './QuerySyntaxError';
+
+/**
+ * Query grammar:
+ * query := selection (whitespace selection)*
+ * selection := selector? modifier*
+ * selector := '#' value | name
+ * modifier := '[' group ']' | '(' group ')' | ':not(' group ')'
+ * group := conditions ('|' conditions)*
+ * conditions := condition (',' condition)*
+ * condition := '#' value | name (operator value)?
+ * operator := '=' | '!=' | '>' | '>=' | '<' | '<='
+ * value := name | quoted string
+ * Whitespace is only significant between selections.
+ */
+
+export const TOKEN_TYPE = Object.freeze({
+  WHITESPACE: 'whitespace',
+  NAME: 'name',
+  STRING: 'string',
+  OPERATOR: 'operator',
+  HASH: '#',
+  COLON: ':',
+  COMMA: ',',
+  PIPE: '|',
+  OPEN_BRACKET: '[',
+  CLOSE_BRACKET: ']',
+  OPEN_PARENTHESIS: '(',
+  CLOSE_PARENTHESIS: ')'
+});
+
+const PUNCTUATION = {
+  '#': TOKEN_TYPE.HASH,
+  ':': TOKEN_TYPE.COLON,
+  ',': TOKEN_TYPE.COMMA,
+  '|': TOKEN_TYPE.PIPE,
+  '[': TOKEN_TYPE.OPEN_BRACKET,
+  ']': TOKEN_TYPE.CLOSE_BRACKET,
+  '(': TOKEN_TYPE.OPEN_PARENTHESIS,
+  ')': TOKEN_TYPE.CLOSE_PARENTHESIS
+};
+
+const whitespaceRegExp = /\s+/y;
+const nameRegExp = /[^\s#:,|[\]()!=<>'"]+/y;
+const operatorRegExp = /!=|>=|<=|=|>|</y;
+
+/**
+ * Returns the token matching the sticky regular expression at the position, if any
+ * @param {RegExp} regExp
+ * @param {string} query
+ * @param {number} position
+ * @returns {string|null}
+ */
+function matchAt(regExp, query, position) {
+  regExp.lastIndex = position;
+  return regExp.exec(query)?.[0] ?? null;
+}
+
+/**
+ * Splits a query string into tokens
+ * @param {string} query
+ * @returns {[{ type: string, value: string, position: number }]}
+ * @throws {QuerySyntaxError}
+ */
+export function tokenize(query = '') {
+  const tokens = [];
+  let position = 0;
+  let depth = 0;
+  while (position < query.length) {
+    const character = query[position];
+    const whitespace = matchAt(whitespaceRegExp, query, position);
+    if (whitespace) {
+      // whitespace only separates selections outside of brackets
+      if (depth === 0) tokens.push({ type: TOKEN_TYPE.WHITESPACE, value: whitespace, position });
+      position += whitespace.length;
+      continue;
+    }
+    if (character === '\'' || character === '"') {
+      const end = query.indexOf(character, position + 1);
+      if (end === -1) throw new QuerySyntaxError('Unterminated string', position, query);
+      tokens.push({ type: TOKEN_TYPE.STRING, value: query.slice(position + 1, end), position });
+      position = end + 1;
+      continue;
+    }
+    const operator = matchAt(operatorRegExp, query, position);
+    if (operator) {
+      tokens.push({ type: TOKEN_TYPE.OPERATOR, value: operator, position });
+      position += operator.length;
+      continue;
+    }
+    const punctuationType = PUNCTUATION[character];
+    if (punctuationType) {
+      if (character === '[' || character === '(') depth++;
+      if (character === ']' || character === ')') depth--;
+      tokens.push({ type: punctuationType, value: character, position });
+      position++;
+      continue;
+    }
+    const name = matchAt(nameRegExp, query, position);
+    if (!name) throw new QuerySyntaxError(`Unexpected character '${character}'`, position, query);
+    tokens.push({ type: TOKEN_TYPE.NAME, value: name, position });
+    position += name.length;
+  }
+  return tokens;
+}
+
+/**
+ * Recursive descent parser producing the query syntax tree from the query tokens
+ */
+class QueryParser {
+
+  constructor(query) {
+    this.query = query;
+    this.tokens = tokenize(query);
+    this.index = 0;
+  }
+
+  get current() {
+    return this.tokens[this.index] ?? null;
+  }
+
+  get isEnded() {
+    return this.index >= this.tokens.length;
+  }
+
+  is(type) {
+    return this.current?.type === type;
+  }
+
+  accept(type) {
+    if (!this.is(type)) return null;
+    return this.tokens[this.index++];
+  }
+
+  expect(type, description) {
+    const token = this.accept(type);
+    if (!token) this.error(`Expected ${description}`);
+    return token;
+  }
+
+  error(description) {
+    const current = this.current;
+    const position = current?.position ?? this.query.length;
+    const found = current ? `'${current.value}'` : 'end of query';
+    throw new QuerySyntaxError(`${description} but found ${found}`, position, this.query);
+  }
+
+  parseQuery() {
+    const selections = [];
+    this.accept(TOKEN_TYPE.WHITESPACE);
+    while (!this.isEnded) {
+      selections.push(this.parseSelection());
+      if (this.isEnded) break;
+      this.expect(TOKEN_TYPE.WHITESPACE, 'whitespace or end of query');
+    }
+    return { type: 'Query', selections };
+  }
+
+  parseSelection() {
+    const position = this.current.position;
+    const selector = this.parseSelector();
+    const multipliers = [];
+    const filters = [];
+    while (true) {
+      const open = this.accept(TOKEN_TYPE.OPEN_BRACKET) ?? this.accept(TOKEN_TYPE.OPEN_PARENTHESIS);
+      if (open?.type === TOKEN_TYPE.OPEN_BRACKET) {
+        const { alternatives } = this.parseGroup(open);
+        this.expect(TOKEN_TYPE.CLOSE_BRACKET, '\']\'');
+        // multiplication alternatives are interchangeable with conditions
+        multipliers.push({ type: 'Multiplier', conditions: alternatives.flat(), position: open.position });
+        continue;
+      }
+      if (open?.type === TOKEN_TYPE.OPEN_PARENTHESIS) {
+        filters.push(this.parseGroup(open));
+        this.expect(TOKEN_TYPE.CLOSE_PARENTHESIS, '\')\'');
+        continue;
+      }
+      const colon = this.accept(TOKEN_TYPE.COLON);
+      if (colon) {
+        const pseudo = this.expect(TOKEN_TYPE.NAME, '\'not\' after \':\'');
+        if (pseudo.value !== 'not') {
+          throw new QuerySyntaxError(`Unknown pseudo-class ':${pseudo.value}'`, pseudo.position, this.query);
+        }
+        const open = this.expect(TOKEN_TYPE.OPEN_PARENTHESIS, '\'(\' after \':not\'');
+        filters.push(this.parseGroup(open, true));
+        this.expect(TOKEN_TYPE.CLOSE_PARENTHESIS, '\')\'');
+        continue;
+      }
+      break;
+    }
+    if (!selector && !multipliers.length && !filters.length) this.error('Expected a type, \'#id\', \'[\' or \'(\'');
+    return { type: 'Selection', selector, multipliers, filters, position };
+  }
+
+  parseSelector() {
+    const hash = this.accept(TOKEN_TYPE.HASH);
+    if (hash) {
+      const value = this.parseValue('an id after \'#\'');
+      return { type: 'Selector', name: 'id', value, position: hash.position };
+    }
+    const name = this.accept(TOKEN_TYPE.NAME);
+    if (!name) return null;
+    return { type: 'Selector', name: 'type', value: name.value, position: name.position };
+  }
+
+  parseGroup(open, isNegated = false) {
+    const alternatives = [this.parseConditions()];
+    while (this.accept(TOKEN_TYPE.PIPE)) {
+      alternatives.push(this.parseConditions());
+    }
+    return { type: 'FilterGroup', isNegated, alternatives, position: open.position };
+  }
+
+  parseConditions() {
+    const conditions = [this.parseCondition()];
+    while (this.accept(TOKEN_TYPE.COMMA)) {
+      conditions.push(this.parseCondition());
+    }
+    return conditions;
+  }
+
+  parseCondition() {
+    const hash = this.accept(TOKEN_TYPE.HASH);
+    if (hash) {
+      const value = this.parseValue('an id after \'#\'');
+      return { type: 'Condition', name: 'id', operator: '=', value, position: hash.position };
+    }
+    const name = this.expect(TOKEN_TYPE.NAME, 'a condition');
+    const operator = this.accept(TOKEN_TYPE.OPERATOR);
+    if (!operator) return { type: 'Condition', name: name.value, operator: null, value: undefined, position: name.position };
+    const value = this.parseValue(`a value after '${operator.value}'`);
+    return { type: 'Condition', name: name.value, operator: operator.value, value, position: name.position };
+  }
+
+  parseValue(description) {
+    const token = this.accept(TOKEN_TYPE.NAME) ?? this.accept(TOKEN_TYPE.STRING);
+    if (!token) this.error(`Expected ${description}`);
+    return token.value;
+  }
+
+}
+
+/**
+ * Parses a subset intersection query string into a syntax tree
+ * @param {string} query
+ * @returns {{ type: 'Query', selections: [{}] }}
+ * @throws {QuerySyntaxError}
+ */
+export function parse(query = '') {
+  return new QueryParser(query).parseQuery();
+}
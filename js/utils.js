@@ -1,8 +1,26 @@
 import Adapt from 'core/js/adapt';
 import Data from 'core/js/data';
+import Logging from 'core/js/logging';
+import HierarchyIndex from './HierarchyIndex';
+import QuerySyntaxError from './QuerySyntaxError';
+import FormulaSyntaxError from './FormulaSyntaxError';
+import { parse } from './query';
+import { parse as parseFormula } from './formula';
 
 /** @typedef {import("./ScoringSet").default} ScoringSet */
 
+const parsedQueryCache = new Map();
+const intersectionSubsetCache = new Map();
+const loggedDependencyCycles = new Set();
+
+/**
+ * Clears the cached parsed queries and intersection subsets
+ */
+export function clearQueryCache() {
+  parsedQueryCache.clear();
+  intersectionSubsetCache.clear();
+}
+
 /**
  * Returns set model arrays by applying standard uniqueness, `_isAvailable` and subset intersection filters
  * @param {ScoringSet} set
@@ -26,17 +44,7 @@ export function filterModels(set, models) {
  * @returns {[Backbone.Model]}
  */
 export function filterIntersectingHierarchy(listA, listB) {
-  const listBModels = listB.reduce((allDescendents, model) => allDescendents.concat([model], model.getAllDescendantModels()), []);
-  const listBModelsIndex = _.indexBy(listBModels, model => model.get('_id'));
-  return listA.filter(model => {
-    const isADescendentOfB = listBModelsIndex[model.get('_id')];
-    if (isADescendentOfB) return true;
-    const listAModels = [model].concat(model.getAllDescendantModels());
-    const listAModelsIndex = _.indexBy(listAModels, model => model.get('_id'));
-    const isBDescendentOfA = Boolean(Object.keys(listAModelsIndex).find(key => listBModelsIndex[key]));
-    if (isBDescendentOfA) return true;
-    return false;
-  });
+  return listA.filter(HierarchyIndex.createIntersectionTest(listB));
 }
 
 /**
@@ -46,17 +54,7 @@ export function filterIntersectingHierarchy(listA, listB) {
  * @returns {boolean}
  */
 export function hasIntersectingHierarchy(listA, listB) {
-  const listBModels = listB.reduce((allDescendents, model) => allDescendents.concat([model], model.getAllDescendantModels()), []);
-  const listBModelsIndex = _.indexBy(listBModels, model => model.get('_id'));
-  return Boolean(listA.find(model => {
-    const isADescendentOfB = listBModelsIndex[model.get('_id')];
-    if (isADescendentOfB) return true;
-    const listAModels = [model].concat(model.getAllDescendantModels());
-    const listAModelsIndex = _.indexBy(listAModels, model => model.get('_id'));
-    const isBDescendentOfA = Boolean(Object.keys(listAModelsIndex).find(key => listBModelsIndex[key]));
-    if (isBDescendentOfA) return true;
-    return false;
-  }));
+  return listA.some(HierarchyIndex.createIntersectionTest(listB));
 }
 
 /**
@@ -75,8 +73,7 @@ export function createIntersectionSubset(sets, filters = null) {
   return sets.slice(1).reduce((subsetParent, set, index) => {
     if (!subsetParent) return null;
     if (!set) return subsetParent;
-    const Class = Object.getPrototypeOf(set).constructor;
-    const queryInstance = new Class(set, subsetParent);
+    const queryInstance = getIntersectionSubset(set, subsetParent);
     const columnFilters = filters?.[index + 1];
     if (columnFilters && !applyFilters(columnFilters, queryInstance)) {
       return null;
@@ -86,12 +83,77 @@ export function createIntersectionSubset(sets, filters = null) {
 }
 
 /**
- * Returns all sets or all sets without the specified excludeParent
+ * Returns the intersection subset of the set within the subsetParent, reusing the instance from previous calls until the cache is cleared
+ * @param {ScoringSet} set
+ * @param {ScoringSet} subsetParent
+ * @returns {ScoringSet}
+ */
+export function getIntersectionSubset(set, subsetParent) {
+  const key = [...subsetParent.subsetPath, set].map(({ type, id }) => `${type}#${id}`).join(' ');
+  if (intersectionSubsetCache.has(key)) return intersectionSubsetCache.get(key);
+  const Class = Object.getPrototypeOf(set).constructor;
+  const subset = new Class(set, subsetParent);
+  intersectionSubsetCache.set(key, subset);
+  return subset;
+}
+
+/**
+ * Returns whether the sets are the same root set
+ * @param {ScoringSet} a
+ * @param {ScoringSet} b
+ * @returns {boolean}
+ */
+function isSameSet(a, b) {
+  return (a.id === b.id && a.type === b.type);
+}
+
+/**
+ * Returns the chain of sets through which the set depends upon the dependency, starting with the set and ending with the dependency,
+ * or `null` if it does not depend upon it. Sets derived from other sets return their dependencies from `getSetDependencies`
+ * @param {ScoringSet} set
+ * @param {ScoringSet} dependency
+ * @param {Set<string>} [visitedKeys]
+ * @returns {[ScoringSet]|null}
+ */
+export function getSetDependencyChain(set, dependency, visitedKeys = new Set()) {
+  if (isSameSet(set, dependency)) return [set];
+  const key = `${set.type}:${set.id}`;
+  if (visitedKeys.has(key)) return null;
+  visitedKeys.add(key);
+  for (const childSet of set.getSetDependencies?.() ?? []) {
+    const chain = getSetDependencyChain(childSet, dependency, visitedKeys);
+    if (chain) return [set, ...chain];
+  }
+  return null;
+}
+
+/**
+ * Returns the sets excluding the dependent set and any set which depends upon it, directly or through other sets,
+ * such that sets derived from other sets cannot form a cycle. Logs each excluded cycle once
+ * @param {ScoringSet} dependentSet
+ * @param {[ScoringSet]} sets
+ * @returns {[ScoringSet]}
+ */
+export function filterSetDependencies(dependentSet, sets) {
+  return sets.filter(set => {
+    if (isSameSet(set, dependentSet)) return false;
+    const chain = getSetDependencyChain(set, dependentSet);
+    if (!chain) return true;
+    const cycle = [dependentSet, ...chain].map(({ type, id }) => `${type}:${id}`).join(' > ');
+    if (loggedDependencyCycles.has(cycle)) return false;
+    loggedDependencyCycles.add(cycle);
+    Logging.error(`Scoring ${dependentSet.type} ${dependentSet.id} cannot depend upon ${set.type} ${set.id} in the cycle ${cycle}`);
+    return false;
+  });
+}
+
+/**
+ * Returns all sets or all sets without the specified excludeParent, excluding the lazily created `adapt` type sets
  * @param {ScoringSet} [excludeParent]
  */
 export function getRawSets(excludeParent = null) {
   return excludeParent ?
-    Adapt.scoring.subsets.filter(set => !(set.id === excludeParent.id && set.type === excludeParent.type)) :
+    Adapt.scoring.subsets.filter(set => !isSameSet(set, excludeParent)) :
     Adapt.scoring.subsets;
 }
 
@@ -116,10 +178,13 @@ export function getSubsets(subsetParent = undefined) {
  * @returns {[ScoringSet]}
  */
 export function getSubsetsByType(type, subsetParent = undefined) {
-  let sets = getRawSets(subsetParent).filter(set => type === set.type);
+  if (type === 'adapt') Adapt.scoring.createAdaptModelSets();
+  let sets = Adapt.scoring.registry.getByType(type);
   if (subsetParent) {
     // Create intersection sets between the found sets and the subsetParent
-    sets = sets.map(set => createIntersectionSubset([subsetParent, set]));
+    sets = sets
+      .filter(set => !isSameSet(set, subsetParent))
+      .map(set => createIntersectionSubset([subsetParent, set]));
   }
   return sets;
 }
@@ -131,11 +196,17 @@ export function getSubsetsByType(type, subsetParent = undefined) {
  * @returns {[ScoringSet]}
  */
 export function getSubsetsByModelId(id, subsetParent = undefined) {
-  const models = [Data.findById(id)];
-  let sets = getRawSets(subsetParent).filter(set => hasIntersectingHierarchy(set.rawModels, models));
+  const model = Data.findById(id);
+  if (!model) return [];
+  // Only the `adapt` type sets of the model hierarchy can intersect the model
+  Adapt.scoring.createAdaptModelSets([...model.getAncestorModels(true), ...model.getAllDescendantModels()]);
+  const isIntersecting = HierarchyIndex.createIntersectionTest([model]);
+  let sets = Adapt.scoring.registry.toArray().filter(set => set.rawModels.some(isIntersecting));
   if (subsetParent) {
     // Create intersection sets between the found sets and the subsetParent
-    sets = sets.map(set => createIntersectionSubset([subsetParent, set]));
+    sets = sets
+      .filter(set => !isSameSet(set, subsetParent))
+      .map(set => createIntersectionSubset([subsetParent, set]));
   }
   return sets;
 }
@@ -147,8 +218,11 @@ export function getSubsetsByModelId(id, subsetParent = undefined) {
  * @returns {ScoringSet}
  */
 export function getSubsetById(id, subsetParent = undefined) {
-  const sets = getRawSets(subsetParent);
-  let set = sets.find(set => id === set.id);
+  let set = subsetParent
+    ? Adapt.scoring.registry.getAllById(id).find(set => !isSameSet(set, subsetParent))
+    : Adapt.scoring.registry.getById(id);
+  // Fallback to the `adapt` type set for the model id
+  set = set ?? Adapt.scoring.getAdaptModelSet(id);
   if (subsetParent) {
     // Create an intersection set between the found set and the subsetParent
     set = createIntersectionSubset([subsetParent, set]);
@@ -191,6 +265,22 @@ export function getScaledScoreFromMinMax(score, minScore, maxScore) {
   return Math.round((score / range) * 100);
 }
 
+/**
+ * Returns a short hash of the values, regardless of their order, such that changes to a list of ids can be detected
+ * @param {[string]} values
+ * @returns {string}
+ */
+export function createFingerprint(values) {
+  const string = [...values].sort().join(',');
+  // 32-bit FNV-1a
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < string.length; i++) {
+    hash ^= string.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(36);
+}
+
 /**
  * @param {Backbone.Model} model
  * @returns {boolean}
@@ -229,98 +319,253 @@ export function matrixMultiply(matrix) {
   return sumsToPerform;
 }
 
-const majorPartRegExp = /([^ []*(?:[[(]{1}[^\])]+[\])]{1})*)/g;
-const attributePartRegEx = /[[(]{1}[^\])]+[\])]{1}/g;
 /**
  * Takes a subset intersection query string and transforms it into an array of filter objects
+ * Each row contains the selection filters, where a filter is an array of conditions, followed by an array of
+ * the inclusion filter groups, where a group is an array of alternative filters which can be negated
  * @param {string} query
- * @returns {[[{}]]}
+ * @returns {[[[{}]]]}
+ * @throws {QuerySyntaxError}
  */
 export function parseQuery(query = '') {
-  const queryMajors = query.split(majorPartRegExp).map(section => section?.trim()).filter(Boolean);
-  const filterParts = queryMajors.map(queryMajor => {
-    const attributeQueryParts = queryMajor.match(attributePartRegEx);
-    const openingQueryPart = queryMajor.replace(attributePartRegEx, '');
+  const { selections } = parse(query);
+  const filterParts = selections.map(({ selector, multipliers, filters }) => {
     const majorFilterPart = [];
-    if (openingQueryPart[0] === '#') {
-      // select by id
-      majorFilterPart.push({
-        id: openingQueryPart.slice(1)
-      });
-    } else if (openingQueryPart) {
-      // select by type
-      majorFilterPart.push({
-        type: openingQueryPart
-      });
+    if (selector) {
+      // select by id or type
+      majorFilterPart.push([{ name: selector.name, operator: '=', value: selector.value }]);
     }
-    if (attributeQueryParts) {
-      const getAttributeParts = (attributeQueryParts, character) => {
-        return attributeQueryParts.filter(part => part[0] === character).map(attributeQueryPart => {
-          const attributeQueryPartMiddle = attributeQueryPart.slice(1, -1);
-          const attributeQueryPartSections = attributeQueryPartMiddle.split(',').map(section => section.trim()).filter(Boolean);
-          return attributeQueryPartSections.map(section => {
-            if (section[0] === '#') return { id: section.slice(1) };
-            const [name, value] = section.split('=').map(section => section.trim()).filter(Boolean);
-            return { [name]: value };
-          });
-        });
-      };
-      const multiplyAttributeParts = getAttributeParts(attributeQueryParts, '[');
-      const filterAttributeParts = getAttributeParts(attributeQueryParts, '(');
-      const flattenedFilterAttributeObjects = filterAttributeParts.map(part => Object.assign({}, ...part));
-      const multipliedAttributeParts = matrixMultiply([majorFilterPart, ...multiplyAttributeParts].filter(item => item?.length));
-      const flattenedMultiplyObjects = multipliedAttributeParts.map(query => Object.assign({}, ...query));
-      flattenedMultiplyObjects.push(flattenedFilterAttributeObjects);
-      return flattenedMultiplyObjects;
-    }
-    majorFilterPart.push([]);
-    return majorFilterPart;
+    // each multiplication condition is an alternative selection filter
+    const multiplyAttributeParts = multipliers.map(({ conditions }) => conditions.map(condition => [condition]));
+    const multipliedAttributeParts = matrixMultiply([majorFilterPart, ...multiplyAttributeParts].filter(item => item?.length));
+    const flattenedMultiplyFilters = multipliedAttributeParts.map(filters => filters.flat());
+    // each filter group must match at least one of its alternatives, or none if negated
+    flattenedMultiplyFilters.push(filters);
+    return flattenedMultiplyFilters;
   });
   return filterParts;
 }
 
+/**
+ * Returns whether the query is syntactically valid, with the error description and character position if not
+ * @param {string} query
+ * @returns {{ isValid: boolean, message: string|null, position: number|null }}
+ */
+export function validateQuery(query) {
+  try {
+    parse(query);
+    return { isValid: true, message: null, position: null };
+  } catch (err) {
+    if (!(err instanceof QuerySyntaxError)) throw err;
+    return { isValid: false, message: err.message, position: err.position };
+  }
+}
+
+/**
+ * Returns whether the formula is syntactically valid, with the error description and character position if not
+ * @param {string} formula
+ * @returns {{ isValid: boolean, message: string|null, position: number|null }}
+ */
+export function validateFormula(formula) {
+  try {
+    parseFormula(formula);
+    return { isValid: true, message: null, position: null };
+  } catch (err) {
+    if (!(err instanceof FormulaSyntaxError)) throw err;
+    return { isValid: false, message: err.message, position: err.position };
+  }
+}
+
+/**
+ * Returns a number from a numeric value or string, otherwise null
+ * @param {any} value
+ * @returns {number|null}
+ */
+function toNumber(value) {
+  if (typeof value === 'number') return isNaN(value) ? null : value;
+  if (typeof value !== 'string' || !value.trim()) return null;
+  const number = Number(value);
+  return isNaN(number) ? null : number;
+}
+
+/**
+ * Returns whether the value matches a pattern where `*` matches any characters
+ * @param {any} value
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+export function isWildcardMatch(value, pattern) {
+  const escapedParts = String(pattern).split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${escapedParts.join('.*')}$`).test(String(value));
+}
+
+/**
+ * Compares a set value to a query value using the given operator.
+ * Equality operators match `*` wildcards, relational operators only match numeric values
+ * @param {any} setValue
+ * @param {string} operator
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function compareValues(setValue, operator, value) {
+  switch (operator) {
+    case '=': return isWildcardMatch(setValue, value); // check for id==='a-05' or id==='a-05*'
+    case '!=': return !isWildcardMatch(setValue, value);
+  }
+  const setNumber = toNumber(setValue);
+  const number = toNumber(value);
+  if (setNumber === null || number === null) return false;
+  switch (operator) {
+    case '>': return setNumber > number;
+    case '>=': return setNumber >= number;
+    case '<': return setNumber < number;
+    case '<=': return setNumber <= number;
+  }
+  return false;
+}
+
+/**
+ * Returns whether the set matches the condition
+ * @param {{ name: string, operator: string|null, value: string|undefined }} condition
+ * @param {ScoringSet} set
+ * @returns {boolean}
+ */
+export function applyCondition({ name, operator, value }, set) {
+  const setValue = set[name];
+  if (typeof setValue === 'function') {
+    const isMatched = Boolean(setValue.call(set, value)); // check for modelTypeGroup('question')
+    return (operator === '!=') ? !isMatched : isMatched;
+  }
+  if (!operator) return Boolean(setValue); // check for Boolean(isComplete)
+  return compareValues(setValue, operator, value);
+}
+
+/**
+ * Returns whether the set matches all of the filter conditions
+ * @param {[{}]} filter
+ * @param {ScoringSet} set
+ * @returns {boolean}
+ */
 export function applyFilter(filter, set) {
-  for (const k in filter) {
-    const setValue = set[k];
-    const filterValue = filter[k];
-    if (typeof setValue === 'function') {
-      if (!setValue.call(set, filterValue)) return false; // check for modelTypeGroup('question')
-      continue;
-    }
-    if (filterValue === undefined) {
-      if (!setValue) return false; // check for Boolean(isComplete)
-    } else if (String(setValue) !== String(filterValue)) {
-      return false; // check for id==='a-05'
-    }
+  return filter.every(condition => applyCondition(condition, set));
+}
+
+/**
+ * Returns whether the set matches any of the group alternatives, or none if the group is negated
+ * @param {{ isNegated: boolean, alternatives: [[{}]] }} group
+ * @param {ScoringSet} set
+ * @returns {boolean}
+ */
+export function applyFilterGroup({ isNegated, alternatives }, set) {
+  const isMatched = alternatives.some(filter => applyFilter(filter, set));
+  return isNegated ? !isMatched : isMatched;
+}
+
+export function applyFilters(groups, set) {
+  return groups.every(group => applyFilterGroup(group, set));
+}
+
+/**
+ * Returns the root sets or the intersection sets from subsetParent which may match the selection filter.
+ * `adapt` type sets are only selected by id or type conditions which allow the `adapt` type, and exact conditions avoid creating unnecessary `adapt` type sets
+ * @param {[{}]} filter
+ * @param {ScoringSet} [subsetParent]
+ * @returns {[ScoringSet]}
+ */
+function getSelectionSubsets(filter, subsetParent = undefined) {
+  const isExactCondition = ({ operator, value }) => operator === '=' && !String(value).includes('*');
+  const idCondition = filter.find(condition => condition.name === 'id' && isExactCondition(condition));
+  const typeCondition = filter.find(condition => condition.name === 'type' && isExactCondition(condition));
+  const isAdaptTypeIncluded = filter
+    .filter(({ name }) => name === 'type')
+    .every(({ operator, value }) => compareValues('adapt', operator, value));
+  const isAdaptTypeSelected = isAdaptTypeIncluded && filter.some(({ name }) => name === 'id' || name === 'type');
+  let sets;
+  if (idCondition) {
+    sets = Adapt.scoring.registry.getAllById(idCondition.value);
+    // Fallback to the `adapt` type set for the model id
+    const adaptModelSet = (!sets.length && isAdaptTypeIncluded) && Adapt.scoring.getAdaptModelSet(idCondition.value);
+    if (adaptModelSet) sets = [adaptModelSet];
+  } else if (typeCondition) {
+    if (isAdaptTypeIncluded) Adapt.scoring.createAdaptModelSets();
+    sets = Adapt.scoring.registry.getByType(typeCondition.value);
+  } else if (isAdaptTypeSelected) {
+    Adapt.scoring.createAdaptModelSets();
+    sets = Adapt.scoring.registry.toArray();
+  } else {
+    sets = getRawSets();
   }
-  return true;
+  if (!subsetParent) return sets;
+  // Create intersection sets between the found sets and the subsetParent
+  return sets
+    .filter(set => !isSameSet(set, subsetParent))
+    .map(set => createIntersectionSubset([subsetParent, set]));
 }
 
-export function applyFilters(filters, set) {
-  return filters.every(filter => applyFilter(filter, set));
+/**
+ * Returns the exact condition of a row which only selects by the named property, without further filters
+ * @param {[[{}]]} row
+ * @param {string} name
+ * @returns {{}|undefined}
+ */
+function getSoleSelectorCondition(row, name) {
+  if (row.length !== 2) return;
+  const [[condition, ...otherConditions]] = row;
+  if (otherConditions.length || condition?.name !== name || condition.operator !== '=') return;
+  return condition;
+}
+
+/**
+ * Merges each type selection followed by the id of a registered set of that type into a selection of that set,
+ * such that `tag #safety` selects the `safety` tag set rather than intersecting all tag sets with it.
+ * `adapt` type sets are always intersected, as they are created lazily
+ * @param {[[[{}]]]} parsedQueryMatrix
+ * @returns {[[[{}]]]}
+ */
+function mergeTypeAndIdSelections(parsedQueryMatrix) {
+  return parsedQueryMatrix.reduce((rows, row) => {
+    const previousRow = rows.lastItem;
+    const typeCondition = previousRow && !previousRow.lastItem.length && getSoleSelectorCondition(previousRow, 'type');
+    const idCondition = typeCondition && getSoleSelectorCondition(row, 'id');
+    const isMerged = Boolean(idCondition) &&
+      typeCondition.value !== 'adapt' &&
+      Boolean(Adapt.scoring.registry.get(typeCondition.value, idCondition.value));
+    if (!isMerged) return rows.concat([row]);
+    return rows.slice(0, -1).concat([[[typeCondition, idCondition], row.lastItem]]);
+  }, []);
 }
 
 /**
  * Takes a subset intersection query string and returns the resultant intersected subsets
+ * Logs and returns no subsets for invalid queries
  * @param {string} query
  * @param {ScoringSet} [subsetParent]
  * @returns {[ScoringSet]}
  */
 export function getSubsetsByQuery(query, subsetParent = undefined) {
-  const allSubsets = getSubsets(subsetParent);
-  const parsedQueryMatrix = parseQuery(query);
+  let parsedQueryMatrix = parsedQueryCache.get(query);
+  if (!parsedQueryMatrix) {
+    try {
+      parsedQueryMatrix = mergeTypeAndIdSelections(parseQuery(query));
+    } catch (err) {
+      if (!(err instanceof QuerySyntaxError)) throw err;
+      Logging.error(`Scoring ${err.message}`);
+      return [];
+    }
+    parsedQueryCache.set(query, parsedQueryMatrix);
+  }
   const subsetQueryMatrix = parsedQueryMatrix.map(row => {
     const selectionFilters = row.slice(0, -1);
     return selectionFilters
       .map((selectionFilter) => {
         // Apply modelIdFilter
-        const hasModelIdFilter = Object.prototype.hasOwnProperty.call(selectionFilter, 'modelId');
-        const filterSubsets = !hasModelIdFilter
-          ? allSubsets
-          : getSubsetsByModelId(selectionFilter.modelId, subsetParent);
-        if (hasModelIdFilter) delete selectionFilter.modelId;
+        const modelIdCondition = selectionFilter.find(({ name }) => name === 'modelId');
+        const filterSubsets = !modelIdCondition
+          ? getSelectionSubsets(selectionFilter, subsetParent)
+          : getSubsetsByModelId(modelIdCondition.value, subsetParent);
+        const conditions = selectionFilter.filter(condition => condition !== modelIdCondition);
         // Return only filtered sets
-        return filterSubsets.filter(set => applyFilter(selectionFilter, set));
+        return filterSubsets.filter(set => applyFilter(conditions, set));
       })
       .flat();
   });